@@ -5,10 +5,29 @@
 (function () {
     'use strict';
 
-    // Initialize decoder and editor instances
+    // Initialize decoder, editor, crypto, extractor, event validation, semantics, size and hierarchy instances
     const decoder = new ViewStateDecoder();
     const editor = new ViewStateEditor();
+    const viewStateCrypto = new ViewStateCrypto();
+    const extractor = new ViewStateExtractor();
+    const eventValidationDecoder = new EventValidationDecoder();
+    const sizes = new ViewStateSizes(decoder);
+    const semantics = new ViewStateSemantics(decoder, sizes);
+    const hierarchyParser = new ControlHierarchy();
+    const differ = new ViewStateDiff(sizes);
+    const nestedDecoder = new NestedDecoder();
+    const scanner = new ViewStateScanner(nestedDecoder);
+    const keyListParser = new MachineKeyList();
+    const configParser = new MachineKeyConfig();
+    const keyProfiles = new MachineKeyProfiles();
     let decodedData = null;
+    let lastExtraction = null;
+    let encodeProfile = null;
+    let encodeCompression = null;
+    let controlHierarchy = null;
+    let keyCheck = null;
+    // <pages> settings of the loaded profile, saved along with the fields
+    let pageSettings = { viewStateEncryptionMode: 'Auto', enableViewStateMac: true };
 
     // DOM Elements
     const elements = {
@@ -19,8 +38,13 @@
 
         // Decoder Tab
         viewstateInput: document.getElementById('viewstate-input'),
+        extractedFields: document.getElementById('extracted-fields'),
         outputContainer: document.getElementById('output-container'),
         outputStats: document.getElementById('output-stats'),
+        diagnostics: document.getElementById('diagnostics'),
+        findings: document.getElementById('findings'),
+        strictMode: document.getElementById('strict-mode'),
+        rawView: document.getElementById('raw-view'),
         pasteBtn: document.getElementById('paste-btn'),
         sampleBtn: document.getElementById('sample-btn'),
         clearInputBtn: document.getElementById('clear-input-btn'),
@@ -30,6 +54,51 @@
         copyOutputBtn: document.getElementById('copy-output-btn'),
         downloadBtn: document.getElementById('download-btn'),
 
+        // Control Hierarchy
+        controlHierarchy: document.getElementById('control-hierarchy'),
+        mapControlsBtn: document.getElementById('map-controls-btn'),
+        controlMap: document.getElementById('control-map'),
+
+        // machineKey
+        validationKey: document.getElementById('validation-key'),
+        validationAlgorithm: document.getElementById('validation-algorithm'),
+        decryptionKey: document.getElementById('decryption-key'),
+        decryptionAlgorithm: document.getElementById('decryption-algorithm'),
+        macScheme: document.getElementById('mac-scheme'),
+        viewstateGenerator: document.getElementById('viewstate-generator'),
+        viewstateUserKey: document.getElementById('viewstate-user-key'),
+        appPath: document.getElementById('app-path'),
+        pagePath: document.getElementById('page-path'),
+        verifyMacBtn: document.getElementById('verify-mac-btn'),
+        decryptBtn: document.getElementById('decrypt-btn'),
+        verifyResult: document.getElementById('verify-result'),
+
+        // Key profiles
+        keyProfile: document.getElementById('key-profile'),
+        profileName: document.getElementById('profile-name'),
+        saveProfileBtn: document.getElementById('save-profile-btn'),
+        deleteProfileBtn: document.getElementById('delete-profile-btn'),
+        exportProfilesBtn: document.getElementById('export-profiles-btn'),
+        importProfilesBtn: document.getElementById('import-profiles-btn'),
+        profilesFile: document.getElementById('profiles-file'),
+        webConfig: document.getElementById('web-config'),
+        importConfigBtn: document.getElementById('import-config-btn'),
+        loadConfigBtn: document.getElementById('load-config-btn'),
+        configFile: document.getElementById('config-file'),
+
+        // Key list check
+        keyList: document.getElementById('key-list'),
+        keyListFile: document.getElementById('key-list-file'),
+        checkKeysBtn: document.getElementById('check-keys-btn'),
+        cancelKeyCheckBtn: document.getElementById('cancel-key-check-btn'),
+        keyCheckProgress: document.getElementById('key-check-progress'),
+        keyCheckResult: document.getElementById('key-check-result'),
+
+        // Event Validation
+        decodeEventValidationBtn: document.getElementById('decode-eventvalidation-btn'),
+        eventValidationCandidates: document.getElementById('eventvalidation-candidates'),
+        eventValidationResult: document.getElementById('eventvalidation-result'),
+
         // Editor Tab
         jsonEditor: document.getElementById('json-editor'),
         lineNumbers: document.getElementById('line-numbers'),
@@ -37,16 +106,34 @@
         encodedOutput: document.getElementById('encoded-output'),
         formatJsonBtn: document.getElementById('format-json-btn'),
         validateJsonBtn: document.getElementById('validate-json-btn'),
+        typedJson: document.getElementById('typed-json'),
         encodeBtn: document.getElementById('encode-btn'),
+        encodeFormat: document.getElementById('encode-format'),
+        encodeProtection: document.getElementById('encode-protection'),
+        encodeLayout: document.getElementById('encode-layout'),
+        encodeCompression: document.getElementById('encode-compression'),
         copyEncodedBtn: document.getElementById('copy-encoded-btn'),
+        verifyRoundtripBtn: document.getElementById('verify-roundtrip-btn'),
+        exportRequestBtn: document.getElementById('export-request-btn'),
+        exportOutput: document.getElementById('export-output'),
         clearEditorBtn: document.getElementById('clear-editor-btn'),
+        roundtripResult: document.getElementById('roundtrip-result'),
+
+        // Compare
+        compareBefore: document.getElementById('compare-before'),
+        compareAfter: document.getElementById('compare-after'),
+        compareBtn: document.getElementById('compare-btn'),
+        compareShowSame: document.getElementById('compare-show-same'),
+        compareRaw: document.getElementById('compare-raw'),
+        compareStats: document.getElementById('compare-stats'),
+        compareOutput: document.getElementById('compare-output'),
 
         // Toast
         toastContainer: document.getElementById('toast-container')
     };
 
     // Sample ViewState for testing
-    const sampleViewState = '/wEPDwUKMTY4NzY1NDk4MQ9kFgICAw9kFgQCAQ8PFgIeBFRleHQFDkhlbGxvLCBXb3JsZCFkZAIDDxYCHgdWaXNpYmxlaGRkw/bVgS8vVUn8xrZU4gTKfzUDhEU=';
+    const sampleViewState = '/wEPDwUKMTY4NzY1NDk4MQ9kFgICAw9kFgQCAQ8PFgIeBFRleHQFDUhlbGxvLCBXb3JsZCFkZAIDDxYCHgdWaXNpYmxlaGRkw/bVgS8vVUn8xrZU4gTKfzUDhEU=';
 
     /**
      * Initialize the application
@@ -55,6 +142,8 @@
         setupTabs();
         setupDecoderEvents();
         setupEditorEvents();
+        setupCompareEvents();
+        setupProfileEvents();
         updateLineNumbers();
     }
 
@@ -121,10 +210,27 @@
         // Clear input button
         elements.clearInputBtn.addEventListener('click', () => {
             elements.viewstateInput.value = '';
+            elements.extractedFields.innerHTML = '';
+            lastExtraction = null;
             clearOutput();
             showToast('Cleared', 'info');
         });
 
+        // Drop a saved page, request capture or text file onto the input
+        elements.viewstateInput.addEventListener('dragover', (e) => {
+            e.preventDefault();
+        });
+
+        elements.viewstateInput.addEventListener('drop', async (e) => {
+            const file = e.dataTransfer.files[0];
+            if (!file) return;
+
+            e.preventDefault();
+            elements.viewstateInput.value = await file.text();
+            showToast(`Loaded ${file.name}`, 'success');
+            decodeViewState();
+        });
+
         // Decode button
         elements.decodeBtn.addEventListener('click', decodeViewState);
 
@@ -188,6 +294,364 @@
                 decodeViewState();
             }
         });
+
+        // Switch between the labelled page structure and the raw tree
+        elements.rawView.addEventListener('change', () => {
+            if (decodedData) renderDecodedOutput(decodedData);
+        });
+
+        // Map ViewState subtrees to the pasted control hierarchy
+        elements.mapControlsBtn.addEventListener('click', () => {
+            const text = elements.controlHierarchy.value.trim();
+            controlHierarchy = text ? hierarchyParser.parse(text) : null;
+            if (!decodedData) {
+                showToast('Decode a ViewState first', 'error');
+                return;
+            }
+            renderDecodedOutput(decodedData);
+        });
+
+        // Verify MAC button
+        elements.verifyMacBtn.addEventListener('click', verifyMac);
+
+        // Decrypt button
+        elements.decryptBtn.addEventListener('click', decryptViewState);
+
+        // Key list check
+        elements.keyListFile.addEventListener('change', async () => {
+            const file = elements.keyListFile.files[0];
+            if (!file) return;
+            elements.keyList.value = await file.text();
+            showToast(`Loaded ${file.name}`, 'success');
+        });
+        elements.checkKeysBtn.addEventListener('click', checkKeyList);
+        elements.cancelKeyCheckBtn.addEventListener('click', () => {
+            if (keyCheck) keyCheck.cancel();
+        });
+
+        // Decode Event Validation button
+        elements.decodeEventValidationBtn.addEventListener('click', decodeEventValidation);
+    }
+
+    /**
+     * Read the machineKey settings from the verification form
+     */
+    function getMachineKeyOptions() {
+        return {
+            validationKey: elements.validationKey.value.trim(),
+            validation: elements.validationAlgorithm.value,
+            decryptionKey: elements.decryptionKey.value.trim(),
+            decryption: elements.decryptionAlgorithm.value,
+            scheme: elements.macScheme.value,
+            generator: elements.viewstateGenerator.value.trim(),
+            viewStateUserKey: elements.viewstateUserKey.value,
+            appPath: elements.appPath.value.trim() || '/',
+            pagePath: elements.pagePath.value.trim() || '/default.aspx'
+        };
+    }
+
+    /**
+     * Setup key profile and web.config import events
+     */
+    function setupProfileEvents() {
+        renderProfileList('');
+
+        elements.keyProfile.addEventListener('change', () => {
+            const profile = keyProfiles.get(elements.keyProfile.value);
+            if (!profile) return;
+            applyKeySettings(profile);
+            elements.profileName.value = profile.name;
+            showToast(`Loaded profile ${profile.name}`, 'info');
+        });
+
+        elements.saveProfileBtn.addEventListener('click', () => {
+            const result = keyProfiles.save({
+                ...getMachineKeyOptions(),
+                ...pageSettings,
+                name: elements.profileName.value || elements.keyProfile.value
+            });
+            if (!result.success) {
+                showToast(result.error, 'error');
+                return;
+            }
+            renderProfileList(result.profile.name);
+            elements.profileName.value = result.profile.name;
+            showToast(`Saved profile ${result.profile.name}`, 'success');
+        });
+
+        elements.deleteProfileBtn.addEventListener('click', () => {
+            const name = elements.keyProfile.value;
+            if (!name || !keyProfiles.remove(name)) {
+                showToast('Select a saved profile to delete', 'error');
+                return;
+            }
+            renderProfileList('');
+            showToast(`Deleted profile ${name}`, 'info');
+        });
+
+        elements.exportProfilesBtn.addEventListener('click', () => {
+            if (keyProfiles.list().length === 0) {
+                showToast('No profiles to export', 'error');
+                return;
+            }
+
+            const blob = new Blob([keyProfiles.export()], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'machinekey-profiles.json';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            showToast('Downloaded machinekey-profiles.json', 'success');
+        });
+
+        elements.importProfilesBtn.addEventListener('click', () => elements.profilesFile.click());
+        elements.profilesFile.addEventListener('change', async () => {
+            const file = elements.profilesFile.files[0];
+            if (!file) return;
+            elements.profilesFile.value = '';
+
+            const result = keyProfiles.import(await file.text());
+            if (!result.success) {
+                showToast(result.error, 'error');
+                return;
+            }
+            renderProfileList(elements.keyProfile.value);
+            showToast(`Imported ${result.count} profile(s)`, 'success');
+        });
+
+        // web.config: pasted, dropped or opened
+        elements.importConfigBtn.addEventListener('click', () => importWebConfig('web.config'));
+        elements.loadConfigBtn.addEventListener('click', () => elements.configFile.click());
+        elements.configFile.addEventListener('change', async () => {
+            const file = elements.configFile.files[0];
+            if (!file) return;
+            elements.configFile.value = '';
+            elements.webConfig.value = await file.text();
+            importWebConfig(file.name);
+        });
+
+        elements.webConfig.addEventListener('dragover', (e) => {
+            e.preventDefault();
+        });
+
+        elements.webConfig.addEventListener('drop', async (e) => {
+            const file = e.dataTransfer.files[0];
+            if (!file) return;
+
+            e.preventDefault();
+            elements.webConfig.value = await file.text();
+            importWebConfig(file.name);
+        });
+    }
+
+    /**
+     * Fill the profile select, keeping the given profile selected
+     */
+    function renderProfileList(selected) {
+        const profiles = keyProfiles.list();
+        elements.keyProfile.replaceChildren(new Option('Unsaved settings', ''),
+            ...profiles.map(profile => new Option(profile.name, profile.name)));
+        elements.keyProfile.value = profiles.some(profile => profile.name === selected) ? selected : '';
+    }
+
+    /**
+     * Read the machineKey settings from the web.config text area
+     * @param {string} source - File name, suggested as the profile name
+     */
+    function importWebConfig(source) {
+        const text = elements.webConfig.value.trim();
+        if (!text) {
+            showToast('Paste or drop a web.config first', 'error');
+            return;
+        }
+
+        const result = configParser.parse(text);
+        if (!result.success) {
+            showToast(result.error, 'error');
+            return;
+        }
+
+        applyKeySettings(result.settings);
+        elements.keyProfile.value = '';
+        elements.profileName.value = source;
+
+        const notes = [];
+        if (!result.settings.enableViewStateMac) notes.push('enableViewStateMac="false"');
+        if (result.settings.viewStateEncryptionMode !== 'Auto') {
+            notes.push(`viewStateEncryptionMode="${result.settings.viewStateEncryptionMode}"`);
+        }
+        notes.push(...result.warnings);
+        showToast(notes.length > 0 ? `Read ${source}: ${notes.join('; ')}` : `Read ${source}`,
+            result.warnings.length > 0 ? 'info' : 'success');
+    }
+
+    /**
+     * Put profile or web.config settings into the machineKey fields and pick
+     * the matching protection for encoding
+     */
+    function applyKeySettings(settings) {
+        elements.validationKey.value = settings.validationKey;
+        elements.validationAlgorithm.value = settings.validation;
+        elements.decryptionKey.value = settings.decryptionKey;
+        elements.decryptionAlgorithm.value = settings.decryption;
+        elements.macScheme.value = settings.scheme;
+        pageSettings = {
+            viewStateEncryptionMode: settings.viewStateEncryptionMode,
+            enableViewStateMac: settings.enableViewStateMac
+        };
+
+        if (!settings.enableViewStateMac || !settings.validationKey) {
+            elements.encodeProtection.value = 'none';
+        } else if (settings.viewStateEncryptionMode === 'Always' && settings.decryptionKey) {
+            elements.encodeProtection.value = 'encrypt';
+        } else {
+            elements.encodeProtection.value = 'sign';
+        }
+    }
+
+    /**
+     * Get the machineKey profile for encoding, null for an unprotected
+     * blob, or undefined when the required keys are missing
+     */
+    function getEncodeProfile() {
+        const mode = elements.encodeProtection.value;
+        if (mode === 'none') return null;
+
+        const profile = getMachineKeyOptions();
+        if (!profile.validationKey) {
+            showToast('Enter a validation key in the machineKey section of the Decoder tab', 'error');
+            return undefined;
+        }
+        if (mode === 'encrypt' && !profile.decryptionKey) {
+            showToast('Enter a decryption key in the machineKey section of the Decoder tab', 'error');
+            return undefined;
+        }
+        if (mode === 'sign') {
+            profile.decryptionKey = '';
+        }
+        return profile;
+    }
+
+    /**
+     * Verify the decoded ViewState MAC against the supplied machineKey
+     */
+    async function verifyMac() {
+        if (!decodedData || !decodedData.bytes) {
+            showToast('Decode a ViewState first', 'error');
+            return;
+        }
+
+        if (decodedData.protection === 'decrypted') {
+            showToast('The MAC was already checked during decryption', 'info');
+            return;
+        }
+
+        const options = getMachineKeyOptions();
+        if (!options.validationKey) {
+            showToast('Please enter a validation key', 'error');
+            return;
+        }
+
+        let result;
+        try {
+            result = await viewStateCrypto.verifyMac(decodedData.bytes, options);
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        if (!result.success) {
+            elements.verifyResult.className = 'verify-result invalid';
+            elements.verifyResult.textContent = '✗ ' + result.error;
+            showToast(result.error, 'error');
+            return;
+        }
+
+        if (result.valid) {
+            elements.verifyResult.className = 'verify-result valid';
+            elements.verifyResult.textContent = `✓ MAC matches (${result.algorithm}, ${result.scheme}): ${result.actual}`;
+            showToast('MAC verified', 'success');
+        } else {
+            elements.verifyResult.className = 'verify-result invalid';
+            elements.verifyResult.textContent = `✗ MAC mismatch (${result.algorithm}, ${result.scheme}) - expected ${result.expected}, found ${result.actual}`;
+            showToast('MAC does not match', 'error');
+        }
+    }
+
+    /**
+     * Try every key of the key list against the MAC of the decoded ViewState
+     * On a match the key is copied into the machineKey section.
+     */
+    async function checkKeyList() {
+        if (!decodedData || !decodedData.bytes) {
+            showToast('Decode a ViewState first', 'error');
+            return;
+        }
+        if (decodedData.protection !== 'signed') {
+            showToast('The key check needs a signed ViewState', 'error');
+            return;
+        }
+
+        const { keys, skipped } = keyListParser.parse(elements.keyList.value);
+        if (keys.length === 0) {
+            showToast('No validation keys found in the key list', 'error');
+            return;
+        }
+
+        const options = getMachineKeyOptions();
+        if (!options.generator) {
+            showToast('No __VIEWSTATEGENERATOR given; legacy MACs are checked without it', 'info');
+        }
+
+        keyCheck = new MachineKeyCheck();
+        elements.checkKeysBtn.disabled = true;
+        elements.cancelKeyCheckBtn.disabled = false;
+        elements.keyCheckProgress.hidden = false;
+        elements.keyCheckProgress.removeAttribute('value');
+        elements.keyCheckResult.className = 'verify-result pending';
+        elements.keyCheckResult.textContent = `Checking ${keys.length} key(s)...`;
+
+        const result = await keyCheck.start({
+            bytes: decodedData.bytes,
+            signatureLength: decodedData.signature.length,
+            keys,
+            schemes: ['legacy', 'net45'],
+            generator: options.generator,
+            viewStateUserKey: options.viewStateUserKey,
+            appPath: options.appPath,
+            pagePath: options.pagePath
+        }, progress => {
+            elements.keyCheckProgress.max = progress.total;
+            elements.keyCheckProgress.value = progress.tried;
+            elements.keyCheckResult.textContent = `Checked ${progress.tried} of ${progress.total} key/algorithm/scheme combinations...`;
+        });
+
+        keyCheck = null;
+        elements.checkKeysBtn.disabled = false;
+        elements.cancelKeyCheckBtn.disabled = true;
+        elements.keyCheckProgress.hidden = true;
+
+        const ignored = skipped > 0 ? ` (${skipped} line(s) without a usable key ignored)` : '';
+        if (result.match) {
+            const match = result.match;
+            elements.validationKey.value = match.validationKey;
+            elements.validationAlgorithm.value = match.validation;
+            elements.macScheme.value = match.scheme;
+            elements.keyCheckResult.className = 'verify-result invalid';
+            elements.keyCheckResult.textContent = `✗ The key on line ${match.line} reproduces the MAC ` +
+                `(${match.validation}, ${match.scheme}): ${match.validationKey}`;
+            showToast('The ViewState is signed with a listed key', 'error');
+        } else if (result.cancelled) {
+            elements.keyCheckResult.className = 'verify-result pending';
+            elements.keyCheckResult.textContent = `Cancelled after ${result.tried} of ${result.total} combinations`;
+        } else {
+            elements.keyCheckResult.className = 'verify-result valid';
+            elements.keyCheckResult.textContent = `✓ None of the ${keys.length} listed key(s) reproduce the MAC ` +
+                `(${result.total} combinations tried)${ignored}`;
+        }
     }
 
     /**
@@ -215,6 +679,23 @@
             }
         });
 
+        // Typed JSON toggle: re-read the editor in the old mode, then show it in the new one
+        elements.typedJson.addEventListener('change', () => {
+            const mode = elements.typedJson.checked ? 'typed' : 'friendly';
+            if (elements.jsonEditor.value.trim()) {
+                const parseResult = editor.fromJSON(elements.jsonEditor.value);
+                if (!parseResult.success) {
+                    elements.typedJson.checked = !elements.typedJson.checked;
+                    showToast('Fix the JSON before switching: ' + parseResult.error, 'error');
+                    return;
+                }
+            }
+
+            editor.setJsonMode(mode);
+            elements.jsonEditor.value = editor.toJSON();
+            updateLineNumbers();
+        });
+
         // Validate JSON button
         elements.validateJsonBtn.addEventListener('click', () => {
             const result = editor.validateJSON(elements.jsonEditor.value);
@@ -230,7 +711,7 @@
         });
 
         // Encode button
-        elements.encodeBtn.addEventListener('click', () => {
+        elements.encodeBtn.addEventListener('click', async () => {
             const jsonValue = elements.jsonEditor.value.trim();
             if (!jsonValue) {
                 showToast('Please enter JSON to encode', 'error');
@@ -243,10 +724,23 @@
                 return;
             }
 
-            const result = editor.encode();
+            const profile = getEncodeProfile();
+            if (profile === undefined) return;
+
+            editor.format = elements.encodeFormat.value;
+
+            const result = await editor.encode(profile, {
+                layout: elements.encodeLayout.value,
+                compression: elements.encodeCompression.value || null
+            });
+            elements.roundtripResult.className = 'verify-result';
+            elements.roundtripResult.textContent = '';
             if (result.success) {
+                encodeProfile = profile;
+                encodeCompression = result.compression;
                 elements.encodedOutput.value = result.encoded;
-                showToast(`Encoded successfully (${result.size} bytes)`, 'success');
+                const compressed = result.compression ? `, ${result.compressedSize} bytes ${ViewStateCompression.LABELS[result.compression]}` : '';
+                showToast(`Encoded successfully (${result.size} bytes${compressed}, ${result.protection})`, 'success');
             } else {
                 showToast(result.error, 'error');
             }
@@ -267,10 +761,19 @@
             });
         });
 
+        // Export request button
+        elements.exportRequestBtn.addEventListener('click', exportRequest);
+
+        // Verify round-trip button
+        elements.verifyRoundtripBtn.addEventListener('click', verifyRoundTrip);
+
         // Clear editor button
         elements.clearEditorBtn.addEventListener('click', () => {
             elements.jsonEditor.value = '';
             elements.encodedOutput.value = '';
+            elements.roundtripResult.className = 'verify-result';
+            elements.roundtripResult.textContent = '';
+            elements.exportOutput.innerHTML = '';
             elements.validationStatus.className = 'validation-status';
             elements.validationStatus.innerHTML = '';
             updateLineNumbers();
@@ -278,6 +781,172 @@
         });
     }
 
+    /**
+     * Re-decode the encoded output and compare it with the JSON in the editor
+     */
+    async function verifyRoundTrip() {
+        const encoded = elements.encodedOutput.value.trim();
+        if (!encoded) {
+            showToast('Encode the JSON first', 'error');
+            return;
+        }
+
+        const parseResult = editor.fromJSON(elements.jsonEditor.value);
+        if (!parseResult.success) {
+            showToast('Invalid JSON: ' + parseResult.error, 'error');
+            return;
+        }
+
+        const result = await editor.verifyRoundTrip(encoded, parseResult.data, encodeProfile, encodeCompression);
+        if (!result.success) {
+            elements.roundtripResult.className = 'verify-result invalid';
+            elements.roundtripResult.textContent = '✗ ' + result.error;
+        } else if (result.identical) {
+            elements.roundtripResult.className = 'verify-result valid';
+            elements.roundtripResult.textContent = `✓ Round-trip matches the editor JSON (${result.size} bytes)`;
+        } else {
+            const shown = result.differences.slice(0, 10).map(diff =>
+                `${diff.path}: expected ${formatDiffValue(diff.expected)}, decoded ${formatDiffValue(diff.actual)}`);
+            if (result.differences.length > shown.length) {
+                shown.push(`... and ${result.differences.length - shown.length} more`);
+            }
+            elements.roundtripResult.className = 'verify-result invalid';
+            elements.roundtripResult.textContent = `✗ ${result.differences.length} difference(s) after decoding:\n${shown.join('\n')}`;
+        }
+    }
+
+    /**
+     * Put the encoded output into the form body or HTTP request pasted in the
+     * Decoder tab and show the request ready to replay, plus a curl command
+     */
+    function exportRequest() {
+        const encoded = elements.encodedOutput.value.trim();
+        if (!encoded) {
+            showToast('Encode the JSON first', 'error');
+            return;
+        }
+
+        const result = extractor.rebuild(elements.viewstateInput.value, encoded);
+        if (!result.success) {
+            showToast(result.error + ' in the Decoder tab', 'error');
+            return;
+        }
+
+        const outputs = [
+            ['Request', result.request, result.chunks > 1 ? `${result.chunks} __VIEWSTATE fields` : ''],
+            ['curl', result.curl, '']
+        ];
+        elements.exportOutput.innerHTML = outputs.map(([name, value, meta]) => `
+            <div class="field-panel">
+                <div class="field-header">
+                    <span class="field-name">${name}</span>
+                    <span class="field-meta">${meta}</span>
+                    <button class="btn btn-secondary btn-small" title="Copy to clipboard">Copy</button>
+                </div>
+                <div class="field-value export-value">${escapeHtml(value)}</div>
+            </div>`).join('');
+
+        elements.exportOutput.querySelectorAll('button').forEach((button, i) => {
+            button.addEventListener('click', () => {
+                navigator.clipboard.writeText(outputs[i][1]).then(() => {
+                    showToast('Copied to clipboard', 'success');
+                }).catch(() => {
+                    showToast('Failed to copy', 'error');
+                });
+            });
+        });
+        showToast('Request rebuilt with the encoded ViewState', 'success');
+    }
+
+    /**
+     * Short JSON form of a value in a round-trip difference
+     */
+    function formatDiffValue(value) {
+        if (value === undefined) return '(missing)';
+        const json = JSON.stringify(value);
+        return json.length > 80 ? json.substring(0, 77) + '...' : json;
+    }
+
+    /**
+     * Decrypt the input with the supplied decryptionKey and decode the plaintext
+     */
+    async function decryptViewState() {
+        const input = elements.viewstateInput.value.trim();
+        if (!input) {
+            showToast('Please enter a ViewState string', 'error');
+            return;
+        }
+
+        const options = getMachineKeyOptions();
+        if (!options.decryptionKey) {
+            showToast('Please enter a decryption key', 'error');
+            return;
+        }
+
+        const viewState = readViewStateInput();
+        if (!viewState) {
+            showToast('No __VIEWSTATE field found in the input', 'error');
+            return;
+        }
+
+        let bytes;
+        try {
+            bytes = ViewStateDecoder.base64ToBytes(ViewStateDecoder.cleanInput(viewState));
+        } catch (error) {
+            showToast('Input is not valid Base64', 'error');
+            return;
+        }
+
+        // Compressing persisters compress the encrypted payload; a header
+        // that does not inflate belongs to uncompressed ciphertext
+        let compression = decoder.compression.detect(bytes);
+        const compressedSize = bytes.length;
+        if (compression) {
+            try {
+                bytes = await decoder.compression.decompress(bytes, compression);
+            } catch (error) {
+                compression = null;
+            }
+        }
+
+        const result = await viewStateCrypto.decrypt(bytes, options);
+        if (!result.success) {
+            showToast(result.error, 'error');
+            return;
+        }
+
+        try {
+            const decoded = decoder.decodeBytes(result.plaintext);
+            decoded.protection = 'decrypted';
+            decoded.decryption = result;
+            decoded.compression = compression;
+            decoded.compressedSize = compression ? compressedSize : null;
+            showDecodedResult(decoded);
+            showToast(`Decrypted with ${result.algorithm} (${result.scheme})`, 'success');
+        } catch (error) {
+            showError('Decrypted payload could not be parsed: ' + error.message);
+        }
+    }
+
+    /**
+     * Show a successfully decoded result in the tree view and the editor
+     */
+    function showDecodedResult(result) {
+        decodedData = result;
+        elements.verifyResult.className = 'verify-result';
+        elements.verifyResult.textContent = '';
+        elements.keyCheckResult.className = 'verify-result';
+        elements.keyCheckResult.textContent = '';
+        renderDecodedOutput(decodedData);
+
+        // Update editor with decoded JSON
+        editor.setData(decodedData.data, decodedData.format, decodedData.tree);
+        elements.encodeFormat.value = decodedData.format || 'binary';
+        elements.encodeCompression.value = decodedData.compression || '';
+        elements.jsonEditor.value = editor.toJSON();
+        updateLineNumbers();
+    }
+
     /**
      * Decode ViewState
      */
@@ -289,6 +958,12 @@
             return;
         }
 
+        const viewState = readViewStateInput();
+        if (!viewState) {
+            showToast('No __VIEWSTATE field found in the input', 'error');
+            return;
+        }
+
         // Show loading state
         elements.decodeBtn.disabled = true;
         elements.decodeBtn.innerHTML = `
@@ -306,24 +981,20 @@
         `;
 
         // Use setTimeout to allow UI to update
-        setTimeout(() => {
+        setTimeout(async () => {
             try {
-                decodedData = decoder.decode(input);
-
-                if (decodedData.success) {
-                    renderDecodedOutput(decodedData);
-
-                    // Update editor with decoded JSON
-                    editor.setData(decodedData.data);
-                    elements.jsonEditor.value = editor.toJSON();
-                    updateLineNumbers();
+                const result = await decoder.decodeAsync(viewState, { strict: elements.strictMode.checked });
 
+                if (result.success) {
+                    showDecodedResult(result);
                     showToast('ViewState decoded successfully', 'success');
                 } else {
-                    showError(decodedData.error, decodedData.suggestion);
+                    decodedData = result;
+                    showError(result.error, result.suggestion);
                 }
             } catch (error) {
                 showError('Decoding failed: ' + error.message);
+                renderDiagnostics(decoder.diagnostics);
             }
 
             // Reset button
@@ -338,6 +1009,107 @@
         }, 100);
     }
 
+    /**
+     * Find the ViewState in the input, which may be a bare ViewState string, an
+     * HTML page, a raw HTTP request or response or a form body, and show the
+     * companion fields that came with it
+     * @returns {string|null} The __VIEWSTATE value, with chunks joined
+     */
+    function readViewStateInput() {
+        lastExtraction = extractor.extract(elements.viewstateInput.value);
+        renderExtractedFields(lastExtraction);
+        lastExtraction.warnings.forEach(warning => showToast(warning, 'error'));
+
+        // The generator is the legacy MAC modifier; the one sent with this
+        // ViewState replaces whatever an earlier page left in the field
+        const generator = lastExtraction.fields.find(field => field.name === '__VIEWSTATEGENERATOR');
+        if (generator) {
+            elements.viewstateGenerator.value = generator.value;
+        }
+        return lastExtraction.viewState;
+    }
+
+    /**
+     * Show one panel per field extracted from a page, request or form body
+     */
+    function renderExtractedFields(extraction) {
+        if (extraction.source === 'raw') {
+            elements.extractedFields.innerHTML = '';
+            return;
+        }
+
+        const sources = {
+            html: 'HTML page',
+            form: 'form body',
+            ajax: 'UpdatePanel response',
+            http: 'HTTP message'
+        };
+        const origin = extraction.http && extraction.source !== 'http'
+            ? `${sources[extraction.source]} of an HTTP ${extraction.http.kind}`
+            : sources[extraction.source];
+
+        const panels = extraction.fields.map(field => {
+            const meta = [`${field.value.length} chars`];
+            if (field.chunks) meta.push(`${field.chunks.length} chunks (${field.chunks.map(c => c.length).join(' + ')})`);
+            const value = field.value.length > 500 ? field.value.substring(0, 500) + '…' : field.value;
+
+            return `
+                <div class="field-panel">
+                    <div class="field-header">
+                        <span class="field-name">${escapeHtml(field.name)}</span>
+                        <span class="field-meta">${meta.join(' | ')}</span>
+                    </div>
+                    <pre class="field-value">${escapeHtml(value) || '<em>empty</em>'}</pre>
+                    <div class="field-decoded">Decoding…</div>
+                </div>`;
+        }).join('');
+
+        elements.extractedFields.innerHTML = `
+            <h3>Fields found in the ${escapeHtml(origin)}</h3>
+            ${panels || '<p class="field-decoded">No ViewState fields found</p>'}
+        `;
+
+        // Compressed fields decode asynchronously
+        const descriptions = elements.extractedFields.querySelectorAll('.field-panel .field-decoded');
+        extraction.fields.forEach(async (field, i) => {
+            const html = await describeField(field);
+            if (lastExtraction === extraction) descriptions[i].innerHTML = html;
+        });
+    }
+
+    /**
+     * Decode or explain an extracted field
+     */
+    async function describeField(field) {
+        switch (field.name) {
+            case '__VIEWSTATE':
+            case '__CVIEWSTATE':
+            case '__EVENTVALIDATION': {
+                if (!field.value) return 'Empty';
+                const result = await new ViewStateDecoder().decodeAsync(field.value);
+                if (!result.success) return escapeHtml(result.error);
+                if (result.protection === 'encrypted') return 'Encrypted; decrypt it with the machineKey';
+
+                const json = JSON.stringify(result.data, null, 2);
+                return `
+                    <details>
+                        <summary>Decoded (${result.compression ? `${ViewStateCompression.LABELS[result.compression]}, ` : ''}${formatProtection(result)})</summary>
+                        <pre>${escapeHtml(json.length > 5000 ? json.substring(0, 5000) + '\n…' : json)}</pre>
+                    </details>`;
+            }
+            case '__VIEWSTATEGENERATOR':
+                return 'Page type hash, used as the MAC modifier; copied to the machineKey section';
+            case '__VIEWSTATEENCRYPTED':
+                return 'The page encrypts its ViewState';
+            case '__EVENTTARGET':
+                return field.value ? `Postback raised by <code>${escapeHtml(field.value)}</code>` : 'No event target';
+            case '__PREVIOUSPAGE':
+                return 'Encrypted path of the page that posted back (cross-page postback)';
+            default:
+                return '';
+        }
+    }
+
     /**
      * Render decoded output as tree view
      */
@@ -346,20 +1118,53 @@
         const stats = result.stats;
         elements.outputStats.innerHTML = `
             ${result.rawSize} bytes | 
+            ${result.compression ? `${ViewStateCompression.LABELS[result.compression]}, ${result.compressedSize} bytes compressed |` : ''}
             ${stats.strings} strings | 
             ${stats.integers} integers | 
             ${stats.pairs} pairs | 
             ${stats.triplets} triplets | 
             ${stats.arrays} arrays
+            ${result.format === 'text' ? '| 1.x text format' : ''}
+            ${formatDiagnosticCount(result.diagnostics)}
+            ${result.protection ? `| ${formatProtection(result)}` : ''}
         `;
 
-        // Render tree
-        const treeHtml = buildTreeHtml(result.data, 'root');
-        elements.outputContainer.innerHTML = `<div class="tree-view">${treeHtml}</div>`;
+        // Render tree (labelled when it has the standard page layout) with subtree
+        // sizes, followed by the size breakdown and any DataTables found in
+        // serialized objects
+        const interpreted = semantics.interpret(result.tree, controlHierarchy);
+        const view = elements.rawView.checked ? null : interpreted;
+        const data = view || result.data;
+        const rootKey = view ? 'Page state' : 'root';
+        const rootSize = result.tree ? ViewStateSizes.nodeSize(result.tree) : null;
+        if (!view) sizes.linkPlain(result.data, result.tree);
+
+        const treeHtml = buildTreeHtml(data, rootKey, 0, rootKey, rootSize);
+        const sizeTree = result.tree ? sizes.collect(data, rootKey, rootSize) : null;
+        const dataSets = result.tree ? collectDataSets(result.tree) : [];
+        elements.outputContainer.innerHTML = `<div class="tree-view">${treeHtml}</div>` +
+            buildSizeHtml(sizeTree) + buildDataTablesHtml(dataSets);
+        renderTreemap(elements.outputContainer.querySelector('.treemap'), sizeTree);
+        setupDataGridSorting(elements.outputContainer);
+        renderDiagnostics(result.diagnostics);
+        renderFindings(result.tree ? scanner.scan(result, data, rootKey) : []);
+        renderControlMap(interpreted ? semantics.controls : null);
+
+        setupTreeToggles(elements.outputContainer);
 
-        // Add click handlers for expanding/collapsing
-        elements.outputContainer.querySelectorAll('.tree-node-header').forEach(header => {
-            header.addEventListener('click', (e) => {
+        // Auto-expand first level
+        const firstLevelToggles = elements.outputContainer.querySelectorAll('.tree-view > .tree-node > .tree-node-header .tree-toggle');
+        const firstLevelChildren = elements.outputContainer.querySelectorAll('.tree-view > .tree-node > .tree-children');
+        firstLevelToggles.forEach(t => t.classList.add('expanded'));
+        firstLevelChildren.forEach(c => c.classList.add('expanded'));
+    }
+
+    /**
+     * Add click handlers for expanding/collapsing tree nodes
+     */
+    function setupTreeToggles(container) {
+        container.querySelectorAll('.tree-node-header').forEach(header => {
+            header.addEventListener('click', () => {
                 const node = header.parentElement;
                 const toggle = header.querySelector('.tree-toggle');
                 const children = node.querySelector('.tree-children');
@@ -370,25 +1175,449 @@
                 }
             });
         });
+    }
 
-        // Auto-expand first level
-        const firstLevelToggles = elements.outputContainer.querySelectorAll('.tree-view > .tree-node > .tree-node-header .tree-toggle');
-        const firstLevelChildren = elements.outputContainer.querySelectorAll('.tree-view > .tree-node > .tree-children');
-        firstLevelToggles.forEach(t => t.classList.add('expanded'));
-        firstLevelChildren.forEach(c => c.classList.add('expanded'));
+    /**
+     * Summarize diagnostics for the stats bar
+     */
+    function formatDiagnosticCount(diagnostics) {
+        if (!diagnostics || diagnostics.length === 0) return '';
+        const errors = diagnostics.filter(d => d.severity === 'error').length;
+        const severity = errors > 0 ? 'error' : 'warning';
+        return `| <span class="diagnostic-count ${severity}">${diagnostics.length} diagnostic${diagnostics.length === 1 ? '' : 's'}</span>`;
+    }
+
+    /**
+     * List parser diagnostics (truncation, bound hits, unknown tokens, recoveries)
+     */
+    function renderDiagnostics(diagnostics) {
+        if (!diagnostics || diagnostics.length === 0) {
+            elements.diagnostics.innerHTML = '';
+            return;
+        }
+
+        elements.diagnostics.innerHTML = `
+            <h3>Diagnostics</h3>
+            <ul>
+                ${diagnostics.map(d => `
+                    <li class="diagnostic ${d.severity}">
+                        <span class="diagnostic-severity">${d.severity}</span>
+                        <span class="diagnostic-offset">0x${d.offset.toString(16).padStart(4, '0')}</span>
+                        <span class="diagnostic-code">${escapeHtml(d.code)}</span>
+                        <span class="diagnostic-message">${escapeHtml(d.message)}</span>
+                    </li>`).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * List the scanner's findings; each links to its node in the tree view
+     */
+    function renderFindings(findings) {
+        if (findings.length === 0) {
+            elements.findings.innerHTML = '';
+            return;
+        }
+
+        const counts = ViewStateScanner.SEVERITIES
+            .map(severity => [severity, findings.filter(f => f.severity === severity).length])
+            .filter(([, count]) => count > 0)
+            .map(([severity, count]) => `${count} ${severity}`);
+
+        elements.findings.innerHTML = `
+            <h3>Findings (${counts.join(', ')})</h3>
+            <ul>
+                ${findings.map(f => `
+                    <li class="diagnostic finding ${f.severity}">
+                        <span class="diagnostic-severity">${f.severity}</span>
+                        <span class="diagnostic-code">${escapeHtml(f.category)}</span>
+                        <span class="diagnostic-message" title="${escapeHtml(f.detail)}">
+                            ${escapeHtml(f.title)}${f.value !== null ? `: <code>${escapeHtml(formatFindingValue(f.value))}</code>` : ''}
+                        </span>
+                        <button class="finding-path" data-path="${escapeHtml(f.path)}" title="Show in the tree">${escapeHtml(f.path)}</button>
+                    </li>`).join('')}
+            </ul>
+        `;
+
+        elements.findings.querySelectorAll('.finding-path').forEach(button => {
+            button.addEventListener('click', () => revealTreeNode(elements.outputContainer, button.dataset.path));
+        });
+    }
+
+    /**
+     * Shorten a finding's matched value for the list
+     */
+    function formatFindingValue(value) {
+        return value.length > 120 ? value.substring(0, 117) + '...' : value;
+    }
+
+    /**
+     * Expand the tree down to the node with the given path, scroll to it and highlight it
+     */
+    function revealTreeNode(container, path) {
+        const key = Array.from(container.querySelectorAll('.tree-key')).find(k => k.title === path);
+        if (!key) return;
+
+        const target = key.closest('.tree-node');
+        for (let node = target.parentElement.closest('.tree-node'); node; node = node.parentElement.closest('.tree-node')) {
+            node.querySelector(':scope > .tree-children').classList.add('expanded');
+            node.querySelector(':scope > .tree-node-header .tree-toggle').classList.add('expanded');
+        }
+
+        const header = key.closest('.tree-node-header');
+        header.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        header.classList.add('tree-highlight');
+        setTimeout(() => header.classList.remove('tree-highlight'), 2000);
+    }
+
+    /**
+     * Collect the DataSets parsed from BinaryFormatter objects in the tree
+     */
+    function collectDataSets(node) {
+        if (!node) return [];
+        const own = node.dataSets || [];
+        return own.concat(...ViewStateDecoder.childNodes(node).map(collectDataSets));
+    }
+
+    /**
+     * Build the size breakdown: a treemap (filled in by renderTreemap once the
+     * container has a width) and the heaviest subtrees
+     */
+    function buildSizeHtml(sizeTree) {
+        if (!sizeTree || sizeTree.children.length === 0) return '';
+
+        const rows = sizes.heaviest(sizeTree).map(item => `
+            <tr>
+                <td title="${escapeHtml(item.path)}">${escapeHtml(item.label)}</td>
+                <td>${escapeHtml(item.path)}</td>
+                <td>${item.size}</td>
+                <td>${(item.size / sizeTree.size * 100).toFixed(1)}</td>
+            </tr>`).join('');
+
+        return `
+            <div class="data-tables size-breakdown">
+                <h3>Size Breakdown</h3>
+                <div class="treemap"></div>
+                <div class="data-table">
+                    <div class="data-table-header">
+                        <span class="data-table-name">Heaviest nodes</span>
+                        <span class="data-table-meta">${formatBytes(sizeTree.size)} in total</span>
+                    </div>
+                    <div class="data-grid-wrapper">
+                        <table class="data-grid">
+                            <thead><tr><th>Node</th><th>Path</th><th>Bytes</th><th>%</th></tr></thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Draw the treemap of subtree sizes; each cell shows its path and size on hover
+     */
+    function renderTreemap(container, sizeTree) {
+        if (!container) return;
+
+        const width = container.clientWidth || 800;
+        const height = container.clientHeight || 320;
+        container.innerHTML = sizes.treemap(sizeTree, width, height).slice(1).map(rect => `
+            <div class="treemap-cell depth-${Math.min(rect.depth, 4)}"
+                style="left: ${rect.x / width * 100}%; top: ${rect.y / height * 100}%; width: ${rect.width / width * 100}%; height: ${rect.height / height * 100}%"
+                title="${escapeHtml(rect.item.path)} (${formatBytes(rect.item.size)})">
+                ${rect.width > 48 && rect.height > 14 ? `<span>${escapeHtml(rect.item.label)}</span>` : ''}
+            </div>`).join('');
+    }
+
+    /**
+     * Byte count for display
+     */
+    function formatBytes(bytes) {
+        return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+    }
+
+    /**
+     * Build a grid per DataTable; modified, inserted and deleted rows are highlighted
+     */
+    function buildDataTablesHtml(dataSets) {
+        const tables = dataSets.flatMap(dataSet => (dataSet.tables || []).map(table => ({ dataSet, table })));
+        const failed = dataSets.filter(dataSet => dataSet.error);
+        if (tables.length === 0 && failed.length === 0) return '';
+
+        let html = '<div class="data-tables"><h3>Data Tables</h3>';
+        for (const dataSet of failed) {
+            html += `<div class="data-table-error">${escapeHtml(dataSet.className)}: ${escapeHtml(dataSet.error)}</div>`;
+        }
+
+        for (const { dataSet, table } of tables) {
+            const counts = { modified: 0, inserted: 0, deleted: 0 };
+            table.rows.forEach(row => { if (row.state in counts) counts[row.state]++; });
+            const changes = Object.entries(counts).filter(([, count]) => count > 0)
+                .map(([state, count]) => `<span class="row-badge ${state}">${count} ${state}</span>`).join(' ');
+
+            html += `
+                <div class="data-table">
+                    <div class="data-table-header">
+                        <span class="data-table-name">${escapeHtml(dataSet.name ? `${dataSet.name}.${table.name}` : table.name)}</span>
+                        <span class="data-table-meta">${table.rows.length} rows, ${table.columns.length} columns</span>
+                        ${changes}
+                    </div>
+                    <div class="data-grid-wrapper">
+                        <table class="data-grid">
+                            <thead><tr>
+                                <th data-column="-1">State</th>
+                                ${table.columns.map((column, i) => `
+                                    <th data-column="${i}" title="${escapeHtml(describeColumn(column, table))}">
+                                        ${table.primaryKey.includes(column.name) ? '<span class="pk-marker">PK</span> ' : ''}${escapeHtml(column.caption || column.name)}
+                                    </th>`).join('')}
+                            </tr></thead>
+                            <tbody>
+                                ${table.rows.map(row => buildDataRowHtml(row, table)).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>`;
+        }
+
+        return html + '</div>';
+    }
+
+    /**
+     * Build one grid row; changed cells show their original value on hover
+     */
+    function buildDataRowHtml(row, table) {
+        const title = row.error ? ` title="${escapeHtml(row.error)}"` : '';
+        const cells = table.columns.map(column => {
+            const value = row.values[column.name];
+            const classes = [];
+            const notes = [];
+
+            if (row.state === 'modified' && row.original && row.original[column.name] !== value) {
+                classes.push('cell-changed');
+                notes.push('Original: ' + formatCellValue(row.original[column.name]));
+            }
+            if (row.columnErrors && row.columnErrors[column.name]) {
+                classes.push('cell-error');
+                notes.push(row.columnErrors[column.name]);
+            }
+            if (value === null) classes.push('cell-null');
+
+            return `<td class="${classes.join(' ')}"${notes.length ? ` title="${escapeHtml(notes.join('\n'))}"` : ''}>` +
+                `${escapeHtml(formatCellValue(value))}</td>`;
+        });
+
+        return `<tr class="row-${row.state}${row.error ? ' row-error' : ''}"${title}>` +
+            `<td class="row-state">${row.state}</td>${cells.join('')}</tr>`;
+    }
+
+    /**
+     * Format a DataTable cell value; DBNull is shown as NULL
+     */
+    function formatCellValue(value) {
+        return value === null || value === undefined ? 'NULL' : String(value);
+    }
+
+    /**
+     * Describe a column's type and constraints for its header tooltip
+     */
+    function describeColumn(column, table) {
+        const parts = [column.name, column.dataType || column.type];
+        if (table.primaryKey.includes(column.name)) parts.push('primary key');
+        if (!column.allowNull) parts.push('not null');
+        if (column.autoIncrement) parts.push('auto increment');
+        if (column.maxLength) parts.push('max length ' + column.maxLength);
+        return parts.join(', ');
+    }
+
+    /**
+     * Sort a data grid when a column header is clicked
+     */
+    function setupDataGridSorting(container) {
+        container.querySelectorAll('.data-grid th').forEach(header => {
+            header.addEventListener('click', () => {
+                const table = header.closest('table');
+                const tbody = table.querySelector('tbody');
+                const index = Array.from(header.parentElement.children).indexOf(header);
+                const ascending = header.dataset.sort !== 'asc';
+
+                table.querySelectorAll('th').forEach(th => delete th.dataset.sort);
+                header.dataset.sort = ascending ? 'asc' : 'desc';
+
+                const rows = Array.from(tbody.rows);
+                rows.sort((a, b) => {
+                    const x = a.cells[index].textContent;
+                    const y = b.cells[index].textContent;
+                    const numeric = x !== '' && y !== '' && !isNaN(x) && !isNaN(y);
+                    const order = numeric ? Number(x) - Number(y) : x.localeCompare(y);
+                    return ascending ? order : -order;
+                });
+                rows.forEach(row => tbody.appendChild(row));
+            });
+        });
+    }
+
+    /**
+     * List the ViewState subtrees mapped to named controls, largest first
+     */
+    function renderControlMap(controls) {
+        if (!controlHierarchy) {
+            elements.controlMap.innerHTML = '';
+            return;
+        }
+        if (!controls || controls.length === 0) {
+            elements.controlMap.innerHTML = '<div class="data-table-error">No ViewState subtree could be mapped to the hierarchy</div>';
+            return;
+        }
+
+        const rows = controls.slice().sort((a, b) => b.size - a.size).map(control => `
+            <tr>
+                <td>${escapeHtml(control.path)}</td>
+                <td>${escapeHtml(control.uniqueId)}</td>
+                <td>${control.size}</td>
+                <td>${control.exact ? 'Exact' : 'By order'}</td>
+            </tr>`).join('');
+
+        elements.controlMap.innerHTML = `
+            <div class="data-table">
+                <div class="data-table-header">
+                    <span class="data-table-meta">${controls.length} controls mapped${controlHierarchy.indexed ? '' : '; a flat list of IDs is matched by document order, so check entries marked "By order"'}</span>
+                </div>
+                <div class="data-grid-wrapper">
+                    <table class="data-grid">
+                        <thead><tr><th>Path</th><th>Control</th><th>Bytes</th><th>Match</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>`;
+        setupDataGridSorting(elements.controlMap);
+    }
+
+    /**
+     * Decode __EVENTVALIDATION from the input (a page, request or form body, or
+     * the bare field value) and label each entry with the candidate postbacks
+     * whose hash it holds
+     */
+    async function decodeEventValidation() {
+        const extraction = extractor.extract(elements.viewstateInput.value);
+        const field = extraction.fields.find(f => f.name === '__EVENTVALIDATION');
+        const value = field ? field.value : extraction.source === 'raw' ? extraction.viewState : null;
+        if (!value) {
+            showToast('No __EVENTVALIDATION found in the input', 'error');
+            return;
+        }
+
+        const result = await eventValidationDecoder.decode(value);
+        if (!result.success) {
+            elements.eventValidationResult.innerHTML = `<div class="data-table-error">${escapeHtml(result.error)}</div>`;
+            return;
+        }
+
+        const candidates = eventValidationDecoder.parseCandidates(elements.eventValidationCandidates.value)
+            .concat(eventValidationDecoder.candidatesFromPairs(extraction.pairs));
+        await eventValidationDecoder.label(result, candidates, field ? extraction.viewState : null);
+        elements.eventValidationResult.innerHTML = buildEventValidationHtml(result);
+        setupDataGridSorting(elements.eventValidationResult);
+    }
+
+    /**
+     * Build the entry grid of a decoded __EVENTVALIDATION, with candidates that
+     * matched no entry (postbacks the server rejects) listed below it
+     */
+    function buildEventValidationHtml(result) {
+        const formatCandidate = candidate => `<code>${escapeHtml(candidate.uniqueId)}</code>` +
+            (candidate.argument ? ` = <code>${escapeHtml(candidate.argument)}</code>` : '');
+
+        let summary = result.layout === 'store'
+            ? `EventValidationStore (.NET 4.5+), ${result.entries.length} entries`
+            : `Legacy hash list, ${result.entries.length} entries; view-state hash ${result.viewStateHash}`;
+        if (result.compression) {
+            summary += `, ${ViewStateCompression.LABELS[result.compression]}-compressed`;
+        }
+        if (result.viewStateMatches !== null) {
+            summary += result.viewStateMatches ? ' (matches __VIEWSTATE)' : ' (does not match __VIEWSTATE)';
+        }
+
+        const rows = result.entries.map(entry => `
+            <tr class="${entry.matches.length ? '' : 'row-unmatched'}">
+                <td>${entry.index}</td>
+                <td>${escapeHtml(String(entry.hash))}</td>
+                <td>${entry.matches.length ? entry.matches.map(formatCandidate).join(', ') : 'No candidate matched'}</td>
+            </tr>`).join('');
+
+        const rejected = result.unmatched.length
+            ? `<div class="eventvalidation-rejected">Not allowed by this field: ${result.unmatched.map(formatCandidate).join(', ')}</div>`
+            : '';
+
+        return `
+            <div class="data-table">
+                <div class="data-table-header">
+                    <span class="data-table-meta">${escapeHtml(summary)}, ${formatProtection(result)}</span>
+                </div>
+                <div class="data-grid-wrapper">
+                    <table class="data-grid">
+                        <thead><tr><th>#</th><th>Hash</th><th>Allows</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                ${rejected}
+            </div>`;
+    }
+
+    /**
+     * Describe the MAC/encryption state of a decoded ViewState
+     */
+    function formatProtection(result) {
+        const signature = result.signature;
+
+        switch (result.protection) {
+            case 'signed':
+                return `<span class="protection signed" title="${signature.hex}">` +
+                    `${escapeHtml(signature.algorithms.join(' / '))} signed (${signature.length} bytes)</span>`;
+            case 'unknown':
+                return `<span class="protection unknown" title="${signature.hex}">` +
+                    `${signature.length} unrecognized trailing bytes</span>`;
+            case 'encrypted':
+                return '<span class="protection encrypted">encrypted or unknown format</span>';
+            case 'decrypted': {
+                const decryption = result.decryption;
+                const mac = decryption.macValid === null ? 'MAC not checked'
+                    : decryption.macValid ? 'MAC valid' : 'MAC mismatch';
+                return `<span class="protection ${decryption.macValid === false ? 'unknown' : 'signed'}">` +
+                    `decrypted with ${escapeHtml(decryption.algorithm)}, ${mac}</span>`;
+            }
+            default:
+                return '<span class="protection unsigned">unsigned</span>';
+        }
+    }
+
+    /**
+     * Row standing in for the items of a collection past MAX_COUNT
+     */
+    function buildHiddenItemsHtml(count) {
+        if (count <= ViewStateDecoder.MAX_COUNT) return '';
+        return `
+                <div class="tree-node">
+                    <div class="tree-node-header">
+                        <span class="tree-type">… ${count - ViewStateDecoder.MAX_COUNT} more items not shown</span>
+                    </div>
+                </div>
+            `;
     }
 
     /**
      * Build HTML for tree node
      */
-    function buildTreeHtml(data, key, depth = 0) {
+    function buildTreeHtml(data, key, depth = 0, path = String(key), size = null) {
+        const sizeHtml = size === null ? '' : `<span class="tree-size">${formatBytes(size)}</span>`;
+
         if (data === null || data === undefined) {
             return `
                 <div class="tree-node">
                     <div class="tree-node-header">
-                        <span class="tree-key">${escapeHtml(key)}</span>
+                        <span class="tree-key" title="${escapeHtml(path)}">${escapeHtml(key)}</span>
                         <span class="tree-colon">:</span>
                         <span class="tree-value null">null</span>
+                        ${sizeHtml}
                     </div>
                 </div>
             `;
@@ -398,9 +1627,10 @@
             return `
                 <div class="tree-node">
                     <div class="tree-node-header">
-                        <span class="tree-key">${escapeHtml(key)}</span>
+                        <span class="tree-key" title="${escapeHtml(path)}">${escapeHtml(key)}</span>
                         <span class="tree-colon">:</span>
                         <span class="tree-value boolean">${data}</span>
+                        ${sizeHtml}
                     </div>
                 </div>
             `;
@@ -410,9 +1640,10 @@
             return `
                 <div class="tree-node">
                     <div class="tree-node-header">
-                        <span class="tree-key">${escapeHtml(key)}</span>
+                        <span class="tree-key" title="${escapeHtml(path)}">${escapeHtml(key)}</span>
                         <span class="tree-colon">:</span>
                         <span class="tree-value number">${data}</span>
+                        ${sizeHtml}
                     </div>
                 </div>
             `;
@@ -420,13 +1651,40 @@
 
         if (typeof data === 'string') {
             const displayValue = data.length > 100 ? data.substring(0, 100) + '...' : data;
+            const lengthHtml = data.length > 100 ? `<span class="tree-type">(${data.length} chars)</span>` : '';
+
+            // Strings carrying their own encoding expand into the decoded payload
+            const nested = nestedDecoder.sniff(data);
+            if (nested) {
+                const childHtml = buildTreeHtml(nested.value, nested.label, depth + 1, `${path} → ${nested.label}`);
+                return `
+                    <div class="tree-node">
+                        <div class="tree-node-header">
+                            <span class="tree-toggle">
+                                <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                                    <path d="M9 18L15 12L9 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                                </svg>
+                            </span>
+                            <span class="tree-key" title="${escapeHtml(path)}">${escapeHtml(key)}</span>
+                            <span class="tree-colon">:</span>
+                            <span class="tree-value string">"${escapeHtml(displayValue)}"</span>
+                            ${lengthHtml}
+                            <span class="nested-format" title="Click to show the decoded ${escapeHtml(nested.label)}">${escapeHtml(nested.label)}</span>
+                            ${sizeHtml}
+                        </div>
+                        <div class="tree-children">${childHtml}</div>
+                    </div>
+                `;
+            }
+
             return `
                 <div class="tree-node">
                     <div class="tree-node-header">
-                        <span class="tree-key">${escapeHtml(key)}</span>
+                        <span class="tree-key" title="${escapeHtml(path)}">${escapeHtml(key)}</span>
                         <span class="tree-colon">:</span>
                         <span class="tree-value string">"${escapeHtml(displayValue)}"</span>
-                        ${data.length > 100 ? `<span class="tree-type">(${data.length} chars)</span>` : ''}
+                        ${lengthHtml}
+                        ${sizeHtml}
                     </div>
                 </div>
             `;
@@ -437,16 +1695,19 @@
                 return `
                     <div class="tree-node">
                         <div class="tree-node-header">
-                            <span class="tree-key">${escapeHtml(key)}</span>
+                            <span class="tree-key" title="${escapeHtml(path)}">${escapeHtml(key)}</span>
                             <span class="tree-colon">:</span>
                             <span class="tree-value">[]</span>
                             <span class="tree-type">Array (0)</span>
+                            ${sizeHtml}
                         </div>
                     </div>
                 `;
             }
 
-            const childrenHtml = data.map((item, index) => buildTreeHtml(item, index, depth + 1)).join('');
+            const childrenHtml = data.slice(0, ViewStateDecoder.MAX_COUNT)
+                .map((item, index) => buildTreeHtml(item, index, depth + 1, `${path} → ${index}`, sizes.sizeOf(data, index))).join('') +
+                buildHiddenItemsHtml(data.length);
             return `
                 <div class="tree-node">
                     <div class="tree-node-header">
@@ -455,8 +1716,9 @@
                                 <path d="M9 18L15 12L9 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
                             </svg>
                         </span>
-                        <span class="tree-key">${escapeHtml(key)}</span>
+                        <span class="tree-key" title="${escapeHtml(path)}">${escapeHtml(key)}</span>
                         <span class="tree-type">Array (${data.length})</span>
+                        ${sizeHtml}
                     </div>
                     <div class="tree-children">${childrenHtml}</div>
                 </div>
@@ -469,10 +1731,11 @@
                 return `
                     <div class="tree-node">
                         <div class="tree-node-header">
-                            <span class="tree-key">${escapeHtml(key)}</span>
+                            <span class="tree-key" title="${escapeHtml(path)}">${escapeHtml(key)}</span>
                             <span class="tree-colon">:</span>
                             <span class="tree-value">{}</span>
                             <span class="tree-type">Object (0)</span>
+                            ${sizeHtml}
                         </div>
                     </div>
                 `;
@@ -486,7 +1749,9 @@
                 typeLabel = 'Triplet';
             }
 
-            const childrenHtml = keys.map(k => buildTreeHtml(data[k], k, depth + 1)).join('');
+            const childrenHtml = keys.slice(0, ViewStateDecoder.MAX_COUNT)
+                .map(k => buildTreeHtml(data[k], k, depth + 1, `${path} → ${k}`, sizes.sizeOf(data, k))).join('') +
+                buildHiddenItemsHtml(keys.length);
             return `
                 <div class="tree-node">
                     <div class="tree-node-header">
@@ -495,8 +1760,9 @@
                                 <path d="M9 18L15 12L9 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
                             </svg>
                         </span>
-                        <span class="tree-key">${escapeHtml(key)}</span>
+                        <span class="tree-key" title="${escapeHtml(path)}">${escapeHtml(key)}</span>
                         <span class="tree-type">${typeLabel}</span>
+                        ${sizeHtml}
                     </div>
                     <div class="tree-children">${childrenHtml}</div>
                 </div>
@@ -506,19 +1772,182 @@
         return `
             <div class="tree-node">
                 <div class="tree-node-header">
-                    <span class="tree-key">${escapeHtml(key)}</span>
+                    <span class="tree-key" title="${escapeHtml(path)}">${escapeHtml(key)}</span>
                     <span class="tree-colon">:</span>
                     <span class="tree-value">${escapeHtml(String(data))}</span>
+                    ${sizeHtml}
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Setup Compare tab event listeners
+     */
+    function setupCompareEvents() {
+        elements.compareBtn.addEventListener('click', () => compareViewStates());
+
+        // Redraw an existing comparison when the view options change
+        const redraw = () => compareViewStates(true);
+        elements.compareShowSame.addEventListener('change', redraw);
+        elements.compareRaw.addEventListener('change', redraw);
+    }
+
+    /**
+     * Decode both ViewStates of the Compare tab and show their structural diff
+     * @param {boolean} [quiet] - Skip the prompt when an input is empty
+     */
+    async function compareViewStates(quiet = false) {
+        if (!elements.compareBefore.value.trim() || !elements.compareAfter.value.trim()) {
+            if (!quiet) showToast('Please enter both ViewStates', 'error');
+            return;
+        }
+
+        const sides = [];
+        for (const [label, input] of [['Before', elements.compareBefore], ['After', elements.compareAfter]]) {
+            const side = await decodeForCompare(input.value);
+            if (side.error) {
+                elements.compareStats.innerHTML = '';
+                elements.compareOutput.innerHTML = `
+                    <div class="output-placeholder" style="color: var(--error);">
+                        <p>${escapeHtml(label)}: ${escapeHtml(side.error)}</p>
+                    </div>`;
+                return;
+            }
+            sides.push(side);
+        }
+
+        const [before, after] = sides;
+        const root = differ.compare(before.view, after.view, before.rootKey, before.size, after.size);
+        const counts = ViewStateDiff.summarize(root);
+        const delta = after.size - before.size;
+
+        elements.compareStats.innerHTML = `
+            <span class="diff-added">${counts.added} added</span> |
+            <span class="diff-removed">${counts.removed} removed</span> |
+            <span class="diff-changed">${counts.changed} changed</span> |
+            <span class="diff-moved">${counts.moved} moved</span> |
+            ${formatBytes(before.size)} → ${formatBytes(after.size)} (${formatSizeDelta(delta) || 'same size'})
+        `;
+
+        if (root.status === 'same' && !elements.compareShowSame.checked) {
+            elements.compareOutput.innerHTML = `
+                <div class="output-placeholder">
+                    <p>The two ViewStates have the same structure and values</p>
+                </div>`;
+            return;
+        }
+
+        elements.compareOutput.innerHTML = `<div class="tree-view diff-view">${buildDiffHtml(root, String(root.key))}</div>`;
+        setupTreeToggles(elements.compareOutput);
+    }
+
+    /**
+     * Find and decode one Compare input; the view is the labelled page state
+     * unless it is not page state or the raw view is chosen
+     * @returns {Promise<object>} { view, rootKey, size } or { error }
+     */
+    async function decodeForCompare(text) {
+        const viewState = extractor.extract(text).viewState;
+        if (!viewState) return { error: 'No __VIEWSTATE field found in the input' };
+
+        const result = await decoder.decodeAsync(viewState);
+        if (!result.success) return { error: result.error };
+        if (!result.tree) {
+            return { error: 'The ViewState could not be parsed; if it is encrypted, decrypt it in the Decoder tab first' };
+        }
+
+        const interpreted = elements.compareRaw.checked ? null : semantics.interpret(result.tree);
+        if (!interpreted) sizes.linkPlain(result.data, result.tree);
+        return {
+            view: interpreted || result.data,
+            rootKey: interpreted ? 'Page state' : 'root',
+            size: ViewStateSizes.nodeSize(result.tree)
+        };
+    }
+
+    /**
+     * Build HTML for a diff node: changed subtrees start expanded, unchanged
+     * ones are left out unless "Unchanged" is checked
+     */
+    function buildDiffHtml(node, path) {
+        const showSame = elements.compareShowSame.checked;
+        const children = node.children.filter(child => showSame || child.status !== 'same');
+        const from = node.from !== null ? `<span class="diff-from" title="Index in the earlier ViewState">← ${node.from}</span>` : '';
+        const status = node.status === 'same' ? '' : `<span class="diff-status">${node.status}</span>`;
+
+        let value = '';
+        if (children.length === 0) {
+            if (node.status === 'changed') {
+                value = `<span class="tree-value">${escapeHtml(formatDiffValue(node.before))} → ${escapeHtml(formatDiffValue(node.after))}</span>`;
+            } else {
+                value = `<span class="tree-value">${escapeHtml(formatDiffValue(node.status === 'removed' ? node.before : node.after))}</span>`;
+            }
+        }
+
+        const header = `
+            <span class="tree-key" title="${escapeHtml(path)}">${escapeHtml(node.key)}</span>
+            ${value ? '<span class="tree-colon">:</span>' : ''}
+            ${value}
+            ${from}
+            ${status}
+            ${buildSizeDeltaHtml(node)}`;
+
+        if (children.length === 0) {
+            return `
+                <div class="tree-node diff-${node.status}">
+                    <div class="tree-node-header">${header}</div>
+                </div>
+            `;
+        }
+
+        const expanded = node.status === 'changed' ? ' expanded' : '';
+        const childrenHtml = children.map(child => buildDiffHtml(child, `${path} → ${child.key}`)).join('');
+        return `
+            <div class="tree-node diff-${node.status}">
+                <div class="tree-node-header">
+                    <span class="tree-toggle${expanded}">
+                        <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                            <path d="M9 18L15 12L9 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                        </svg>
+                    </span>
+                    ${header}
+                </div>
+                <div class="tree-children${expanded}">${childrenHtml}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Encoded size of a diff node, with the change in size when both sides have one
+     */
+    function buildSizeDeltaHtml(node) {
+        const { sizeBefore, sizeAfter } = node;
+        if (sizeBefore === null && sizeAfter === null) return '';
+        if (sizeBefore === null || sizeAfter === null) {
+            return `<span class="tree-size">${formatBytes(sizeBefore ?? sizeAfter)}</span>`;
+        }
+
+        const delta = formatSizeDelta(sizeAfter - sizeBefore);
+        return `<span class="tree-size">${formatBytes(sizeAfter)}</span>` +
+            (delta ? `<span class="diff-delta ${sizeAfter > sizeBefore ? 'grown' : 'shrunk'}">${delta}</span>` : '');
+    }
+
+    /**
+     * Signed byte change for display, empty when the size is the same
+     */
+    function formatSizeDelta(delta) {
+        if (delta === 0) return '';
+        return (delta > 0 ? '+' : '-') + formatBytes(Math.abs(delta));
+    }
+
     /**
      * Show error in output container
      */
     function showError(message, suggestion = null) {
         elements.outputStats.innerHTML = '';
+        elements.diagnostics.innerHTML = '';
+        elements.findings.innerHTML = '';
         elements.outputContainer.innerHTML = `
             <div class="output-placeholder" style="color: var(--error);">
                 <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -537,7 +1966,13 @@
      */
     function clearOutput() {
         decodedData = null;
+        elements.verifyResult.className = 'verify-result';
+        elements.verifyResult.textContent = '';
+        elements.keyCheckResult.className = 'verify-result';
+        elements.keyCheckResult.textContent = '';
         elements.outputStats.innerHTML = '';
+        elements.diagnostics.innerHTML = '';
+        elements.findings.innerHTML = '';
         elements.outputContainer.innerHTML = `
             <div class="output-placeholder">
                 <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -0,0 +1,96 @@
+/**
+ * Compressed ViewState
+ * Custom PageStatePersisters and vendor modules gzip- or deflate-compress the
+ * serialized (and possibly signed) state before Base64, in __VIEWSTATE or
+ * __CVIEWSTATE. gzip and zlib headers and, for raw deflate, which has none,
+ * any bytes that are not ViewState are only candidates: random encrypted or
+ * signed payloads match the zlib header check too, so the bytes only count as
+ * compressed once they actually inflate.
+ * Streams are unpacked with the browser's DecompressionStream.
+ */
+
+class ViewStateCompression {
+    /**
+     * Recognise a gzip or zlib header; a match may still be uncompressed data
+     * @param {Uint8Array} bytes - Base64-decoded field value
+     * @returns {string|null} 'gzip', 'deflate' (zlib) or null
+     */
+    detect(bytes) {
+        if (bytes.length < 2 || this.isViewState(bytes)) return null;
+        if (bytes[0] === 0x1F && bytes[1] === 0x8B) return 'gzip';
+
+        // zlib CMF/FLG: deflate method, window of at most 32K, header check bits
+        if ((bytes[0] & 0x0F) === 8 && (bytes[0] >> 4) <= 7 && ((bytes[0] << 8) | bytes[1]) % 31 === 0) {
+            return 'deflate';
+        }
+        return null;
+    }
+
+    /**
+     * Decompress bytes that hold a compressed ViewState
+     * @param {Uint8Array} bytes - Base64-decoded field value
+     * @returns {Promise<object|null>} { bytes, compression }, or null when the
+     *     bytes do not decompress to ViewState and so are not compressed
+     */
+    async inflate(bytes) {
+        const header = this.detect(bytes);
+        const compression = header || (this.mayBeRawDeflate(bytes) ? 'deflate-raw' : null);
+        if (!compression) return null;
+
+        try {
+            const plain = await this.decompress(bytes, compression);
+            return this.isViewState(plain) ? { bytes: plain, compression } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether the bytes could start a raw deflate stream: they are not
+     * ViewState and the first block type is not the reserved one
+     */
+    mayBeRawDeflate(bytes) {
+        return bytes.length >= 2 && !this.isViewState(bytes) && ((bytes[0] >> 1) & 3) !== 3;
+    }
+
+    /**
+     * ObjectStateFormatter (FF 01) or 1.x text format bytes
+     */
+    isViewState(bytes) {
+        return (bytes[0] === 0xFF && bytes[1] === 0x01) || LosTextFormatter.isTextFormat(bytes);
+    }
+
+    /**
+     * @param {Uint8Array} bytes - Compressed stream
+     * @param {string} format - 'gzip', 'deflate' or 'deflate-raw'
+     * @returns {Promise<Uint8Array>} Decompressed bytes; rejects on a corrupt stream
+     */
+    async decompress(bytes, format) {
+        return this.pipe(bytes, new DecompressionStream(format));
+    }
+
+    /**
+     * @param {Uint8Array} bytes - Serialized ViewState
+     * @param {string} format - 'gzip', 'deflate' or 'deflate-raw'
+     * @returns {Promise<Uint8Array>} Compressed bytes
+     */
+    async compress(bytes, format) {
+        return this.pipe(bytes, new CompressionStream(format));
+    }
+
+    async pipe(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+/**
+ * Display names of the supported formats
+ */
+ViewStateCompression.LABELS = {
+    gzip: 'gzip',
+    deflate: 'zlib deflate',
+    'deflate-raw': 'raw deflate'
+};
+
+window.ViewStateCompression = ViewStateCompression;
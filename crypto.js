@@ -0,0 +1,711 @@
+/**
+ * ASP.NET ViewState Cryptography
+ * Recomputes ViewState MACs, decrypts ViewState and protects new payloads with a machineKey
+ * Supports the legacy (pre-4.5) key modifier and the .NET 4.5 purpose-based scheme
+ * AES runs on WebCrypto; MD5 and DES/3DES are implemented here
+ */
+
+class ViewStateCrypto {
+    /**
+     * Verify the MAC appended to a ViewState payload
+     * @param {Uint8Array} bytes - Decoded ViewState bytes including the MAC
+     * @param {object} options - validationKey, validation, generator, viewStateUserKey,
+     *                           scheme ('legacy' or 'net45'), appPath, pagePath
+     * @returns {Promise<object>} Verification result
+     */
+    async verifyMac(bytes, options) {
+        const algorithm = this.getValidationAlgorithm(options.validation);
+        if (bytes.length <= algorithm.length) {
+            return { success: false, error: 'ViewState is shorter than a ' + options.validation + ' signature' };
+        }
+
+        const payload = bytes.slice(0, bytes.length - algorithm.length);
+        const actual = bytes.slice(bytes.length - algorithm.length);
+
+        try {
+            const expected = await this.computeMac(payload, options);
+            return {
+                success: true,
+                valid: this.constantTimeEquals(expected, actual),
+                scheme: options.scheme,
+                algorithm: options.validation,
+                expected: this.bytesToHex(expected),
+                actual: this.bytesToHex(actual)
+            };
+        } catch (error) {
+            return { success: false, error: 'MAC computation failed: ' + error.message };
+        }
+    }
+
+    /**
+     * Compute the MAC ASP.NET would append to a serialized payload
+     */
+    async computeMac(payload, options) {
+        const algorithm = this.getValidationAlgorithm(options.validation);
+        const key = this.hexToBytes(options.validationKey);
+        if (key.length === 0) {
+            throw new Error('Validation key is required');
+        }
+
+        if (options.scheme === 'net45') {
+            const purpose = this.getPagePurpose(options);
+            const derivedKey = await this.deriveKey(key, purpose.label, purpose.context);
+            return this.hmac(algorithm.hash, derivedKey, payload);
+        }
+
+        // Legacy: the modifier (generator + ViewStateUserKey) is appended to the data
+        const data = this.concatBytes(payload, this.getLegacyModifier(options.generator, options.viewStateUserKey));
+        if (algorithm.legacyHash) {
+            // MachineKeyValidation.MD5 hashes data + modifier + key without HMAC
+            return this.md5(this.concatBytes(data, key));
+        }
+        return this.hmac(algorithm.hash, key, data);
+    }
+
+    /**
+     * Decrypt an encrypted ViewState payload
+     * Legacy: AES/3DES/DES-CBC with a zero IV over (random block + data + modifier),
+     * followed by an HMAC of the ciphertext.
+     * 4.5: IV + ciphertext + HMAC, with SP800-108 keys derived from the page purpose.
+     * @param {Uint8Array} bytes - Base64-decoded encrypted ViewState
+     * @param {object} options - decryptionKey, decryption, plus the verifyMac options
+     * @returns {Promise<object>} Decryption result with the plaintext bytes
+     */
+    async decrypt(bytes, options) {
+        try {
+            const cipher = this.getDecryptionAlgorithm(options.decryption);
+            const validation = this.getValidationAlgorithm(options.validation);
+            let decryptionKey = this.hexToBytes(options.decryptionKey);
+            let validationKey = options.validationKey ? this.hexToBytes(options.validationKey) : null;
+            this.checkKeyLength(cipher, decryptionKey);
+
+            if (bytes.length <= validation.length + cipher.blockSize) {
+                return { success: false, error: 'ViewState is too short to be encrypted with ' + options.decryption };
+            }
+
+            const protectedData = bytes.slice(0, bytes.length - validation.length);
+            const signature = bytes.slice(bytes.length - validation.length);
+
+            if (options.scheme === 'net45') {
+                const purpose = this.getPagePurpose(options);
+                decryptionKey = await this.deriveKey(decryptionKey, purpose.label, purpose.context);
+                if (validationKey) {
+                    validationKey = await this.deriveKey(validationKey, purpose.label, purpose.context);
+                }
+            }
+
+            let macValid = null;
+            if (validationKey) {
+                const expected = validation.legacyHash && options.scheme !== 'net45'
+                    ? this.md5(this.concatBytes(protectedData, validationKey))
+                    : await this.hmac(validation.hash, validationKey, protectedData);
+                macValid = this.constantTimeEquals(expected, signature);
+            }
+
+            let plaintext;
+            let modifierValid = null;
+            if (options.scheme === 'net45') {
+                const iv = protectedData.slice(0, cipher.blockSize);
+                plaintext = await this.cbcDecrypt(cipher, decryptionKey, iv, protectedData.slice(cipher.blockSize));
+            } else {
+                const decrypted = await this.cbcDecrypt(cipher, decryptionKey, new Uint8Array(cipher.blockSize), protectedData);
+
+                // Strip the random first block and the trailing key modifier
+                const modifier = this.getLegacyModifier(options.generator, options.viewStateUserKey);
+                plaintext = decrypted.slice(cipher.blockSize, decrypted.length - modifier.length);
+                if (options.generator) {
+                    modifierValid = this.constantTimeEquals(decrypted.slice(decrypted.length - modifier.length), modifier);
+                }
+            }
+
+            return {
+                success: true,
+                plaintext,
+                scheme: options.scheme,
+                algorithm: options.decryption,
+                macValid,
+                modifierValid
+            };
+        } catch (error) {
+            return { success: false, error: 'Decryption failed: ' + (error.message || 'wrong key or algorithm') };
+        }
+    }
+
+    /**
+     * Sign, and optionally encrypt, a serialized payload the way ASP.NET would
+     * Encryption is used when options.decryptionKey is set; the output layout
+     * mirrors what decrypt() accepts for the same options.
+     * @param {Uint8Array} payload - Serialized ObjectStateFormatter bytes
+     * @param {object} options - The verifyMac options, plus decryptionKey and decryption
+     * @returns {Promise<Uint8Array>} Protected ViewState bytes
+     */
+    async protect(payload, options) {
+        if (!options.decryptionKey) {
+            return this.concatBytes(payload, await this.computeMac(payload, options));
+        }
+
+        const cipher = this.getDecryptionAlgorithm(options.decryption);
+        const validation = this.getValidationAlgorithm(options.validation);
+        let decryptionKey = this.hexToBytes(options.decryptionKey);
+        let validationKey = this.hexToBytes(options.validationKey);
+        this.checkKeyLength(cipher, decryptionKey);
+        if (validationKey.length === 0) {
+            throw new Error('Validation key is required');
+        }
+
+        let encrypted;
+        if (options.scheme === 'net45') {
+            const purpose = this.getPagePurpose(options);
+            decryptionKey = await this.deriveKey(decryptionKey, purpose.label, purpose.context);
+            validationKey = await this.deriveKey(validationKey, purpose.label, purpose.context);
+
+            const iv = crypto.getRandomValues(new Uint8Array(cipher.blockSize));
+            encrypted = this.concatBytes(iv, await this.cbcEncrypt(cipher, decryptionKey, iv, payload));
+        } else {
+            // A random first block stands in for an IV; the modifier is encrypted with the data
+            const data = this.concatBytes(
+                crypto.getRandomValues(new Uint8Array(cipher.blockSize)),
+                payload,
+                this.getLegacyModifier(options.generator, options.viewStateUserKey)
+            );
+            encrypted = await this.cbcEncrypt(cipher, decryptionKey, new Uint8Array(cipher.blockSize), data);
+        }
+
+        const signature = validation.legacyHash && options.scheme !== 'net45'
+            ? this.md5(this.concatBytes(encrypted, validationKey))
+            : await this.hmac(validation.hash, validationKey, encrypted);
+        return this.concatBytes(encrypted, signature);
+    }
+
+    /**
+     * Look up a machineKey decryption algorithm
+     */
+    getDecryptionAlgorithm(name) {
+        const algorithm = ViewStateCrypto.DECRYPTION_ALGORITHMS[String(name || '').toUpperCase()];
+        if (!algorithm) {
+            throw new Error('Unsupported decryption algorithm: ' + name);
+        }
+        return algorithm;
+    }
+
+    /**
+     * Reject keys the cipher cannot use
+     */
+    checkKeyLength(cipher, key) {
+        if (!cipher.keyLengths.includes(key.length)) {
+            throw new Error(`${cipher.name} needs a ${cipher.keyLengths.map(l => l * 8).join('/')}-bit key, got ${key.length * 8} bits`);
+        }
+    }
+
+    /**
+     * CBC decryption with PKCS#7 padding
+     */
+    async cbcDecrypt(cipher, key, iv, data) {
+        if (data.length === 0 || data.length % cipher.blockSize !== 0) {
+            throw new Error('ciphertext is not a whole number of blocks');
+        }
+
+        if (cipher.name === 'AES') {
+            const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'AES-CBC' }, false, ['decrypt']);
+            try {
+                return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, cryptoKey, data));
+            } catch {
+                throw new Error('invalid padding (wrong key or algorithm)');
+            }
+        }
+
+        const schedules = this.getDesSchedules(key, true);
+        const result = new Uint8Array(data.length);
+        let previous = iv;
+        for (let offset = 0; offset < data.length; offset += 8) {
+            const block = data.subarray(offset, offset + 8);
+            const plain = this.desCryptBlock(block, schedules);
+            for (let i = 0; i < 8; i++) {
+                result[offset + i] = plain[i] ^ previous[i];
+            }
+            previous = block;
+        }
+
+        const padding = result[result.length - 1];
+        if (padding < 1 || padding > 8 || result.subarray(result.length - padding).some(b => b !== padding)) {
+            throw new Error('invalid padding (wrong key or algorithm)');
+        }
+        return result.slice(0, result.length - padding);
+    }
+
+    /**
+     * CBC encryption with PKCS#7 padding
+     */
+    async cbcEncrypt(cipher, key, iv, data) {
+        if (cipher.name === 'AES') {
+            const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'AES-CBC' }, false, ['encrypt']);
+            return new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, cryptoKey, data));
+        }
+
+        const padding = 8 - (data.length % 8);
+        const padded = new Uint8Array(data.length + padding);
+        padded.set(data);
+        padded.fill(padding, data.length);
+
+        const schedules = this.getDesSchedules(key, false);
+        const result = new Uint8Array(padded.length);
+        let previous = iv;
+        for (let offset = 0; offset < padded.length; offset += 8) {
+            const block = padded.slice(offset, offset + 8);
+            for (let i = 0; i < 8; i++) {
+                block[i] ^= previous[i];
+            }
+            previous = this.desCryptBlock(block, schedules);
+            result.set(previous, offset);
+        }
+        return result;
+    }
+
+    /**
+     * Build the DES key schedules for DES or 3DES (EDE with two or three keys)
+     */
+    getDesSchedules(key, decrypt) {
+        if (key.length === 8) {
+            return [this.desKeySchedule(key, decrypt)];
+        }
+
+        const k1 = key.subarray(0, 8);
+        const k2 = key.subarray(8, 16);
+        const k3 = key.length === 24 ? key.subarray(16, 24) : k1;
+        return decrypt
+            ? [this.desKeySchedule(k3, true), this.desKeySchedule(k2, false), this.desKeySchedule(k1, true)]
+            : [this.desKeySchedule(k1, false), this.desKeySchedule(k2, true), this.desKeySchedule(k3, false)];
+    }
+
+    /**
+     * Expand an 8-byte DES key into 16 round keys (48 bits each)
+     */
+    desKeySchedule(key, decrypt) {
+        const tables = ViewStateCrypto.DES;
+        const keyBits = this.bytesToBits(key);
+        const cd = tables.PC1.map(p => keyBits[p - 1]);
+
+        const subkeys = [];
+        for (let round = 0; round < 16; round++) {
+            for (let s = 0; s < tables.SHIFTS[round]; s++) {
+                cd.splice(0, 28, ...cd.slice(1, 28), cd[0]);
+                cd.splice(28, 28, ...cd.slice(29, 56), cd[28]);
+            }
+            subkeys.push(tables.PC2.map(p => cd[p - 1]));
+        }
+        return decrypt ? subkeys.reverse() : subkeys;
+    }
+
+    /**
+     * Run one 8-byte block through a chain of DES key schedules
+     */
+    desCryptBlock(block, schedules) {
+        const tables = ViewStateCrypto.DES;
+        let bits = this.bytesToBits(block);
+
+        for (const subkeys of schedules) {
+            const permuted = tables.IP.map(p => bits[p - 1]);
+            let left = permuted.slice(0, 32);
+            let right = permuted.slice(32);
+
+            for (let round = 0; round < 16; round++) {
+                const expanded = tables.E.map((p, i) => right[p - 1] ^ subkeys[round][i]);
+                const substituted = [];
+                for (let box = 0; box < 8; box++) {
+                    const six = expanded.slice(box * 6, box * 6 + 6);
+                    const row = (six[0] << 1) | six[5];
+                    const column = (six[1] << 3) | (six[2] << 2) | (six[3] << 1) | six[4];
+                    const value = tables.SBOXES[box][row * 16 + column];
+                    substituted.push((value >> 3) & 1, (value >> 2) & 1, (value >> 1) & 1, value & 1);
+                }
+                const feistel = tables.P.map(p => substituted[p - 1]);
+                const next = left.map((bit, i) => bit ^ feistel[i]);
+                left = right;
+                right = next;
+            }
+
+            const combined = right.concat(left);
+            bits = tables.FP.map(p => combined[p - 1]);
+        }
+
+        const result = new Uint8Array(8);
+        for (let i = 0; i < 64; i++) {
+            result[i >> 3] |= bits[i] << (7 - (i & 7));
+        }
+        return result;
+    }
+
+    /**
+     * Expand bytes into an array of bits (most significant bit first)
+     */
+    bytesToBits(bytes) {
+        const bits = [];
+        for (const byte of bytes) {
+            for (let i = 7; i >= 0; i--) {
+                bits.push((byte >> i) & 1);
+            }
+        }
+        return bits;
+    }
+
+    /**
+     * Look up a machineKey validation algorithm
+     */
+    getValidationAlgorithm(name) {
+        const algorithm = ViewStateCrypto.VALIDATION_ALGORITHMS[String(name || '').toUpperCase()];
+        if (!algorithm) {
+            throw new Error('Unsupported validation algorithm: ' + name);
+        }
+        return algorithm;
+    }
+
+    /**
+     * Build the legacy MAC key modifier
+     * The __VIEWSTATEGENERATOR value is the page's client state identifier
+     * written as a little-endian UInt32, followed by the UTF-16 ViewStateUserKey
+     */
+    getLegacyModifier(generator, viewStateUserKey) {
+        const modifier = new Uint8Array(4);
+        const value = parseInt(generator || '0', 16);
+        if (isNaN(value)) {
+            throw new Error('Invalid __VIEWSTATEGENERATOR: ' + generator);
+        }
+        new DataView(modifier.buffer).setUint32(0, value >>> 0, true);
+
+        if (!viewStateUserKey) return modifier;
+
+        const userKey = new Uint8Array(viewStateUserKey.length * 2);
+        for (let i = 0; i < viewStateUserKey.length; i++) {
+            const code = viewStateUserKey.charCodeAt(i);
+            userKey[i * 2] = code & 0xFF;
+            userKey[i * 2 + 1] = code >> 8;
+        }
+        return this.concatBytes(modifier, userKey);
+    }
+
+    /**
+     * Build the .NET 4.5 purpose used to protect page state
+     * TemplateSourceDirectory and the page type name are derived from the
+     * application path and the page's virtual path
+     */
+    getPagePurpose(options) {
+        const pagePath = options.pagePath || '/default.aspx';
+        const appPath = (options.appPath || '/').replace(/\/+$/, '');
+
+        const lastSlash = pagePath.lastIndexOf('/');
+        const templateSourceDirectory = pagePath.substring(0, lastSlash) || '/';
+
+        let relativePath = pagePath;
+        if (appPath && relativePath.toLowerCase().startsWith(appPath.toLowerCase() + '/')) {
+            relativePath = relativePath.substring(appPath.length);
+        }
+        let typeName = relativePath.replace(/^\/+/, '').replace(/[^A-Za-z0-9_]/g, '_');
+        if (/^[0-9]/.test(typeName)) typeName = '_' + typeName;
+
+        const specificPurposes = [
+            'TemplateSourceDirectory: ' + templateSourceDirectory.toUpperCase(),
+            'Type: ' + typeName.toUpperCase()
+        ];
+        if (options.viewStateUserKey) {
+            specificPurposes.push('ViewStateUserKey: ' + options.viewStateUserKey);
+        }
+
+        return {
+            label: new TextEncoder().encode(ViewStateCrypto.PAGE_STATE_PURPOSE),
+            context: this.concatBytes(...specificPurposes.map(p => this.encodeBinaryString(p))),
+            specificPurposes
+        };
+    }
+
+    /**
+     * Encode a string the way BinaryWriter.Write(string) does
+     */
+    encodeBinaryString(str) {
+        const bytes = new TextEncoder().encode(str);
+        const length = [];
+        let value = bytes.length;
+        while (value >= 0x80) {
+            length.push((value & 0x7F) | 0x80);
+            value >>>= 7;
+        }
+        length.push(value);
+        return this.concatBytes(new Uint8Array(length), bytes);
+    }
+
+    /**
+     * SP800-108 counter mode key derivation with HMACSHA512
+     * The derived key has the same length as the source key
+     */
+    async deriveKey(key, label, context) {
+        const keyLengthInBits = key.length * 8;
+        const input = new Uint8Array(4 + label.length + 1 + context.length + 4);
+        const view = new DataView(input.buffer);
+        input.set(label, 4);
+        input.set(context, 4 + label.length + 1);
+        view.setUint32(input.length - 4, keyLengthInBits, false);
+
+        const derived = new Uint8Array(key.length);
+        let written = 0;
+        for (let i = 1; written < derived.length; i++) {
+            view.setUint32(0, i, false);
+            const block = await this.hmac('SHA-512', key, input);
+            const count = Math.min(block.length, derived.length - written);
+            derived.set(block.subarray(0, count), written);
+            written += count;
+        }
+        return derived;
+    }
+
+    /**
+     * Compute an HMAC (WebCrypto for SHA family, built-in MD5 otherwise)
+     */
+    async hmac(hash, key, data) {
+        if (hash === 'MD5') {
+            return this.hmacMd5(key, data);
+        }
+
+        const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash }, false, ['sign']);
+        return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, data));
+    }
+
+    /**
+     * HMAC-MD5 (not available in WebCrypto)
+     */
+    hmacMd5(key, data) {
+        if (key.length > 64) key = this.md5(key);
+        const padded = new Uint8Array(64);
+        padded.set(key);
+
+        const inner = new Uint8Array(64);
+        const outer = new Uint8Array(64);
+        for (let i = 0; i < 64; i++) {
+            inner[i] = padded[i] ^ 0x36;
+            outer[i] = padded[i] ^ 0x5C;
+        }
+        return this.md5(this.concatBytes(outer, this.md5(this.concatBytes(inner, data))));
+    }
+
+    /**
+     * MD5 digest (RFC 1321)
+     */
+    md5(data) {
+        const shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+        const constants = ViewStateCrypto.MD5_CONSTANTS;
+
+        const bitLength = data.length * 8;
+        const paddedLength = (((data.length + 8) >> 6) + 1) << 6;
+        const buffer = new Uint8Array(paddedLength);
+        buffer.set(data);
+        buffer[data.length] = 0x80;
+        const view = new DataView(buffer.buffer);
+        view.setUint32(paddedLength - 8, bitLength >>> 0, true);
+        view.setUint32(paddedLength - 4, Math.floor(bitLength / 0x100000000), true);
+
+        let a0 = 0x67452301;
+        let b0 = 0xEFCDAB89;
+        let c0 = 0x98BADCFE;
+        let d0 = 0x10325476;
+
+        for (let offset = 0; offset < paddedLength; offset += 64) {
+            let a = a0, b = b0, c = c0, d = d0;
+
+            for (let i = 0; i < 64; i++) {
+                let f, g;
+                if (i < 16) {
+                    f = (b & c) | (~b & d);
+                    g = i;
+                } else if (i < 32) {
+                    f = (d & b) | (~d & c);
+                    g = (5 * i + 1) % 16;
+                } else if (i < 48) {
+                    f = b ^ c ^ d;
+                    g = (3 * i + 5) % 16;
+                } else {
+                    f = c ^ (b | ~d);
+                    g = (7 * i) % 16;
+                }
+
+                const shift = shifts[(i >> 4) * 4 + (i % 4)];
+                const sum = (a + f + constants[i] + view.getUint32(offset + g * 4, true)) | 0;
+                a = d;
+                d = c;
+                c = b;
+                b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+            }
+
+            a0 = (a0 + a) | 0;
+            b0 = (b0 + b) | 0;
+            c0 = (c0 + c) | 0;
+            d0 = (d0 + d) | 0;
+        }
+
+        const digest = new Uint8Array(16);
+        const out = new DataView(digest.buffer);
+        out.setUint32(0, a0 >>> 0, true);
+        out.setUint32(4, b0 >>> 0, true);
+        out.setUint32(8, c0 >>> 0, true);
+        out.setUint32(12, d0 >>> 0, true);
+        return digest;
+    }
+
+    /**
+     * Compare two byte arrays without early exit
+     */
+    constantTimeEquals(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a[i] ^ b[i];
+        }
+        return diff === 0;
+    }
+
+    /**
+     * Concatenate byte arrays
+     */
+    concatBytes(...parts) {
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    }
+
+    /**
+     * Parse a hex string (machineKey format) into bytes
+     */
+    hexToBytes(hex) {
+        const clean = String(hex || '').replace(/^0x/i, '').replace(/\s+/g, '');
+        if (clean.length % 2 !== 0 || /[^0-9a-f]/i.test(clean)) {
+            throw new Error('Invalid hex key');
+        }
+
+        const bytes = new Uint8Array(clean.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Format bytes as a hex string
+     */
+    bytesToHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+/**
+ * machineKey validation algorithms with their HMAC hash and MAC length
+ * MD5 uses a plain keyed hash in legacy mode and HMACMD5 in 4.5 mode;
+ * 3DES and AES validation fall back to HMACSHA1
+ */
+ViewStateCrypto.VALIDATION_ALGORITHMS = {
+    MD5: { hash: 'MD5', length: 16, legacyHash: true },
+    SHA1: { hash: 'SHA-1', length: 20 },
+    '3DES': { hash: 'SHA-1', length: 20 },
+    AES: { hash: 'SHA-1', length: 20 },
+    HMACSHA256: { hash: 'SHA-256', length: 32 },
+    HMACSHA384: { hash: 'SHA-384', length: 48 },
+    HMACSHA512: { hash: 'SHA-512', length: 64 }
+};
+
+/**
+ * machineKey decryption algorithms with their block size and valid key lengths
+ */
+ViewStateCrypto.DECRYPTION_ALGORITHMS = {
+    AES: { name: 'AES', blockSize: 16, keyLengths: [16, 24, 32] },
+    '3DES': { name: '3DES', blockSize: 8, keyLengths: [16, 24] },
+    DES: { name: 'DES', blockSize: 8, keyLengths: [8] }
+};
+
+/**
+ * Primary purpose for page state (Purpose.WebForms_HiddenFieldPageStatePersister_ClientState)
+ */
+ViewStateCrypto.PAGE_STATE_PURPOSE = 'WebForms.HiddenFieldPageStatePersister.ClientState';
+
+/**
+ * MD5 round constants: floor(abs(sin(i + 1)) * 2^32)
+ */
+ViewStateCrypto.MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0);
+
+/**
+ * DES permutation tables and S-boxes (FIPS 46-3), 1-based bit positions
+ */
+ViewStateCrypto.DES = {
+    PC1: [
+        57, 49, 41, 33, 25, 17, 9, 1, 58, 50, 42, 34, 26, 18,
+        10, 2, 59, 51, 43, 35, 27, 19, 11, 3, 60, 52, 44, 36,
+        63, 55, 47, 39, 31, 23, 15, 7, 62, 54, 46, 38, 30, 22,
+        14, 6, 61, 53, 45, 37, 29, 21, 13, 5, 28, 20, 12, 4
+    ],
+    PC2: [
+        14, 17, 11, 24, 1, 5, 3, 28, 15, 6, 21, 10,
+        23, 19, 12, 4, 26, 8, 16, 7, 27, 20, 13, 2,
+        41, 52, 31, 37, 47, 55, 30, 40, 51, 45, 33, 48,
+        44, 49, 39, 56, 34, 53, 46, 42, 50, 36, 29, 32
+    ],
+    SHIFTS: [1, 1, 2, 2, 2, 2, 2, 2, 1, 2, 2, 2, 2, 2, 2, 1],
+    IP: [
+        58, 50, 42, 34, 26, 18, 10, 2, 60, 52, 44, 36, 28, 20, 12, 4,
+        62, 54, 46, 38, 30, 22, 14, 6, 64, 56, 48, 40, 32, 24, 16, 8,
+        57, 49, 41, 33, 25, 17, 9, 1, 59, 51, 43, 35, 27, 19, 11, 3,
+        61, 53, 45, 37, 29, 21, 13, 5, 63, 55, 47, 39, 31, 23, 15, 7
+    ],
+    FP: [
+        40, 8, 48, 16, 56, 24, 64, 32, 39, 7, 47, 15, 55, 23, 63, 31,
+        38, 6, 46, 14, 54, 22, 62, 30, 37, 5, 45, 13, 53, 21, 61, 29,
+        36, 4, 44, 12, 52, 20, 60, 28, 35, 3, 43, 11, 51, 19, 59, 27,
+        34, 2, 42, 10, 50, 18, 58, 26, 33, 1, 41, 9, 49, 17, 57, 25
+    ],
+    E: [
+        32, 1, 2, 3, 4, 5, 4, 5, 6, 7, 8, 9,
+        8, 9, 10, 11, 12, 13, 12, 13, 14, 15, 16, 17,
+        16, 17, 18, 19, 20, 21, 20, 21, 22, 23, 24, 25,
+        24, 25, 26, 27, 28, 29, 28, 29, 30, 31, 32, 1
+    ],
+    P: [
+        16, 7, 20, 21, 29, 12, 28, 17, 1, 15, 23, 26, 5, 18, 31, 10,
+        2, 8, 24, 14, 32, 27, 3, 9, 19, 13, 30, 6, 22, 11, 4, 25
+    ],
+    SBOXES: [
+        [14, 4, 13, 1, 2, 15, 11, 8, 3, 10, 6, 12, 5, 9, 0, 7,
+            0, 15, 7, 4, 14, 2, 13, 1, 10, 6, 12, 11, 9, 5, 3, 8,
+            4, 1, 14, 8, 13, 6, 2, 11, 15, 12, 9, 7, 3, 10, 5, 0,
+            15, 12, 8, 2, 4, 9, 1, 7, 5, 11, 3, 14, 10, 0, 6, 13],
+        [15, 1, 8, 14, 6, 11, 3, 4, 9, 7, 2, 13, 12, 0, 5, 10,
+            3, 13, 4, 7, 15, 2, 8, 14, 12, 0, 1, 10, 6, 9, 11, 5,
+            0, 14, 7, 11, 10, 4, 13, 1, 5, 8, 12, 6, 9, 3, 2, 15,
+            13, 8, 10, 1, 3, 15, 4, 2, 11, 6, 7, 12, 0, 5, 14, 9],
+        [10, 0, 9, 14, 6, 3, 15, 5, 1, 13, 12, 7, 11, 4, 2, 8,
+            13, 7, 0, 9, 3, 4, 6, 10, 2, 8, 5, 14, 12, 11, 15, 1,
+            13, 6, 4, 9, 8, 15, 3, 0, 11, 1, 2, 12, 5, 10, 14, 7,
+            1, 10, 13, 0, 6, 9, 8, 7, 4, 15, 14, 3, 11, 5, 2, 12],
+        [7, 13, 14, 3, 0, 6, 9, 10, 1, 2, 8, 5, 11, 12, 4, 15,
+            13, 8, 11, 5, 6, 15, 0, 3, 4, 7, 2, 12, 1, 10, 14, 9,
+            10, 6, 9, 0, 12, 11, 7, 13, 15, 1, 3, 14, 5, 2, 8, 4,
+            3, 15, 0, 6, 10, 1, 13, 8, 9, 4, 5, 11, 12, 7, 2, 14],
+        [2, 12, 4, 1, 7, 10, 11, 6, 8, 5, 3, 15, 13, 0, 14, 9,
+            14, 11, 2, 12, 4, 7, 13, 1, 5, 0, 15, 10, 3, 9, 8, 6,
+            4, 2, 1, 11, 10, 13, 7, 8, 15, 9, 12, 5, 6, 3, 0, 14,
+            11, 8, 12, 7, 1, 14, 2, 13, 6, 15, 0, 9, 10, 4, 5, 3],
+        [12, 1, 10, 15, 9, 2, 6, 8, 0, 13, 3, 4, 14, 7, 5, 11,
+            10, 15, 4, 2, 7, 12, 9, 5, 6, 1, 13, 14, 0, 11, 3, 8,
+            9, 14, 15, 5, 2, 8, 12, 3, 7, 0, 4, 10, 1, 13, 11, 6,
+            4, 3, 2, 12, 9, 5, 15, 10, 11, 14, 1, 7, 6, 0, 8, 13],
+        [4, 11, 2, 14, 15, 0, 8, 13, 3, 12, 9, 7, 5, 10, 6, 1,
+            13, 0, 11, 7, 4, 9, 1, 10, 14, 3, 5, 12, 2, 15, 8, 6,
+            1, 4, 11, 13, 12, 3, 7, 14, 10, 15, 6, 8, 0, 5, 9, 2,
+            6, 11, 13, 8, 1, 4, 10, 7, 9, 5, 0, 15, 14, 2, 3, 12],
+        [13, 2, 8, 4, 6, 15, 11, 1, 10, 9, 3, 14, 5, 0, 12, 7,
+            1, 15, 13, 8, 10, 3, 7, 4, 12, 5, 6, 11, 0, 14, 9, 2,
+            7, 11, 4, 1, 9, 12, 14, 2, 0, 6, 10, 13, 15, 3, 5, 8,
+            2, 1, 14, 7, 4, 10, 8, 13, 15, 12, 9, 0, 3, 5, 6, 11]
+    ]
+};
+
+// Export
+window.ViewStateCrypto = ViewStateCrypto;
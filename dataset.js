@@ -0,0 +1,401 @@
+/**
+ * DataSet / DataTable XML Parser
+ * Reads the XSD written by DataSet.WriteXmlSchema and the DiffGram written by
+ * WriteXml(XmlWriteMode.DiffGram) into tables, columns, keys, relations and rows
+ */
+
+class DataSetParser {
+    /**
+     * Parse a schema and an optional diffgram
+     * @param {string} schemaXml - xs:schema document
+     * @param {string} [diffgramXml] - diffgr:diffgram document
+     * @returns {object} { success, dataSet } or { success: false, error }
+     */
+    parse(schemaXml, diffgramXml) {
+        try {
+            const dataSet = schemaXml
+                ? this.parseSchema(schemaXml)
+                : { name: null, tables: [], constraints: [], relations: [] };
+            if (diffgramXml) {
+                this.parseDiffgram(diffgramXml, dataSet);
+            }
+            return { success: true, dataSet };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Parse an XSD DataSet schema into tables, constraints and relations
+     */
+    parseSchema(schemaXml) {
+        const schema = this.parseXml(schemaXml).documentElement;
+        const dataSet = { name: schema.getAttribute('id') || null, tables: [], constraints: [], relations: [] };
+
+        const topLevel = this.childElements(schema, DataSetParser.XS, 'element');
+        const dataSetElement = topLevel.find(el => el.getAttributeNS(DataSetParser.MSDATA, 'IsDataSet') === 'true');
+
+        if (dataSetElement) {
+            dataSet.name = dataSetElement.getAttribute('name');
+            dataSet.mainTable = dataSetElement.getAttributeNS(DataSetParser.MSDATA, 'MainDataTable') || null;
+            for (const element of this.contentElements(dataSetElement)) {
+                const ref = element.getAttribute('ref');
+                const declaration = ref
+                    ? topLevel.find(el => el.getAttribute('name') === this.localName(ref))
+                    : element;
+                if (declaration) {
+                    this.parseTable(declaration, null, dataSet);
+                }
+            }
+        } else {
+            topLevel.filter(el => this.complexType(el)).forEach(el => this.parseTable(el, null, dataSet));
+        }
+
+        // Keys and unique constraints first, so keyrefs can resolve the key they refer to
+        const constraintElements = Array.from(schema.getElementsByTagNameNS(DataSetParser.XS, '*'))
+            .filter(el => ['unique', 'key', 'keyref'].includes(el.localName))
+            .sort((a, b) => (a.localName === 'keyref') - (b.localName === 'keyref'));
+        for (const element of constraintElements) {
+            this.parseConstraint(element, dataSet);
+        }
+
+        for (const element of Array.from(schema.getElementsByTagNameNS(DataSetParser.MSDATA, 'Relationship'))) {
+            dataSet.relations.push({
+                name: element.getAttribute('name'),
+                parentTable: element.getAttributeNS(DataSetParser.MSDATA, 'parent'),
+                childTable: element.getAttributeNS(DataSetParser.MSDATA, 'child'),
+                parentColumns: this.splitList(element.getAttributeNS(DataSetParser.MSDATA, 'parentkey')),
+                childColumns: this.splitList(element.getAttributeNS(DataSetParser.MSDATA, 'childkey')),
+                nested: false
+            });
+        }
+
+        return dataSet;
+    }
+
+    /**
+     * Parse a table element; nested complex elements become child tables
+     */
+    parseTable(element, parentTable, dataSet) {
+        const name = element.getAttribute('name');
+        const table = { name, columns: [], primaryKey: [], rows: [], parent: parentTable };
+        dataSet.tables.push(table);
+
+        const complexType = this.complexType(element);
+        if (!complexType) return table;
+
+        for (const child of this.contentElements(element)) {
+            if (this.complexType(child)) {
+                const childTable = this.parseTable(child, name, dataSet);
+                dataSet.relations.push({
+                    name: `${name}_${childTable.name}`,
+                    parentTable: name,
+                    childTable: childTable.name,
+                    parentColumns: [],
+                    childColumns: [],
+                    nested: true
+                });
+            } else {
+                table.columns.push(this.parseColumn(child, 'element'));
+            }
+        }
+
+        for (const attribute of this.childElements(complexType, DataSetParser.XS, 'attribute')) {
+            table.columns.push(this.parseColumn(attribute, 'attribute'));
+        }
+
+        return table;
+    }
+
+    /**
+     * Parse a column declaration (xs:element or xs:attribute)
+     */
+    parseColumn(element, mapping) {
+        const MSDATA = DataSetParser.MSDATA;
+        let type = element.getAttribute('type');
+        let maxLength = null;
+
+        const restriction = element.getElementsByTagNameNS(DataSetParser.XS, 'restriction')[0];
+        if (!type && restriction) {
+            type = restriction.getAttribute('base');
+            const max = restriction.getElementsByTagNameNS(DataSetParser.XS, 'maxLength')[0];
+            if (max) maxLength = parseInt(max.getAttribute('value'), 10);
+        }
+
+        const column = {
+            name: element.getAttribute('name'),
+            type: this.localName(type || 'string'),
+            dataType: element.getAttributeNS(MSDATA, 'DataType') || null,
+            mapping,
+            allowNull: mapping === 'attribute'
+                ? element.getAttribute('use') !== 'required'
+                : element.getAttribute('minOccurs') === '0'
+        };
+
+        const caption = element.getAttributeNS(MSDATA, 'Caption');
+        if (caption) column.caption = caption;
+        if (element.getAttributeNS(MSDATA, 'ReadOnly') === 'true') column.readOnly = true;
+        if (element.getAttributeNS(MSDATA, 'AutoIncrement') === 'true') column.autoIncrement = true;
+        if (element.hasAttribute('default')) column.defaultValue = element.getAttribute('default');
+        if (maxLength !== null) column.maxLength = maxLength;
+        return column;
+    }
+
+    /**
+     * Parse xs:unique, xs:key and xs:keyref identity constraints
+     */
+    parseConstraint(element, dataSet) {
+        const selector = element.getElementsByTagNameNS(DataSetParser.XS, 'selector')[0];
+        const table = selector ? this.localName(selector.getAttribute('xpath').split('/').pop()) : null;
+        const columns = Array.from(element.getElementsByTagNameNS(DataSetParser.XS, 'field'))
+            .map(field => this.localName(field.getAttribute('xpath').replace(/^@/, '')));
+
+        if (element.localName === 'keyref') {
+            const refer = this.localName(element.getAttribute('refer') || '');
+            const key = dataSet.constraints.find(c => c.name === refer);
+            dataSet.relations.push({
+                name: element.getAttribute('name'),
+                parentTable: key ? key.table : null,
+                childTable: table,
+                parentColumns: key ? key.columns : [],
+                childColumns: columns,
+                nested: element.getAttributeNS(DataSetParser.MSDATA, 'IsNested') === 'true',
+                constraintOnly: element.getAttributeNS(DataSetParser.MSDATA, 'ConstraintOnly') === 'true'
+            });
+            return;
+        }
+
+        const primaryKey = element.localName === 'key' ||
+            element.getAttributeNS(DataSetParser.MSDATA, 'PrimaryKey') === 'true';
+        dataSet.constraints.push({
+            name: element.getAttribute('name'),
+            table,
+            columns,
+            primaryKey
+        });
+
+        const target = dataSet.tables.find(t => t.name === table);
+        if (primaryKey && target) {
+            target.primaryKey = columns;
+        }
+    }
+
+    /**
+     * Parse a DiffGram: current rows, diffgr:before originals and diffgr:errors
+     */
+    parseDiffgram(diffgramXml, dataSet) {
+        const DIFFGR = DataSetParser.DIFFGR;
+        const root = this.parseXml(diffgramXml).documentElement;
+
+        const originals = new Map();
+        const errors = new Map();
+        const rows = [];
+
+        for (const section of this.childElements(root)) {
+            if (section.namespaceURI === DIFFGR && section.localName === 'before') {
+                for (const element of this.childElements(section)) {
+                    originals.set(element.getAttributeNS(DIFFGR, 'id'), element);
+                }
+            } else if (section.namespaceURI === DIFFGR && section.localName === 'errors') {
+                for (const element of this.childElements(section)) {
+                    errors.set(element.getAttributeNS(DIFFGR, 'id'), element);
+                }
+            } else {
+                if (!dataSet.name) dataSet.name = section.localName;
+                for (const element of this.childElements(section)) {
+                    this.collectRows(element, null, dataSet, rows);
+                }
+            }
+        }
+
+        const currentIds = new Set();
+        for (const { element, table, parentId } of rows) {
+            const id = element.getAttributeNS(DIFFGR, 'id');
+            currentIds.add(id);
+
+            const hasChanges = element.getAttributeNS(DIFFGR, 'hasChanges');
+            const original = originals.get(id);
+            const row = {
+                id,
+                rowOrder: this.rowOrder(element),
+                state: hasChanges === 'modified' || hasChanges === 'inserted' ? hasChanges : 'unchanged',
+                values: this.readValues(element, table),
+                original: original ? this.readValues(original, table) : null,
+                parentId
+            };
+            this.applyErrors(row, errors.get(id));
+            table.rows.push(row);
+        }
+
+        // Originals without a current row were deleted
+        for (const [id, element] of originals) {
+            if (currentIds.has(id)) continue;
+            const table = this.getTable(dataSet, element);
+            const values = this.readValues(element, table);
+            table.rows.push({ id, rowOrder: this.rowOrder(element), state: 'deleted', values, original: values, parentId: null });
+        }
+
+        for (const table of dataSet.tables) {
+            table.rows.sort((a, b) => (a.rowOrder ?? Infinity) - (b.rowOrder ?? Infinity));
+        }
+        return dataSet;
+    }
+
+    /**
+     * Collect a row element and the nested child rows inside it
+     */
+    collectRows(element, parentId, dataSet, rows) {
+        const table = this.getTable(dataSet, element);
+        rows.push({ element, table, parentId });
+
+        const id = element.getAttributeNS(DataSetParser.DIFFGR, 'id');
+        for (const child of this.childElements(element)) {
+            const isNestedRow = dataSet.tables.some(t => t.name === child.localName && t.parent === table.name);
+            if (isNestedRow) {
+                this.collectRows(child, id, dataSet, rows);
+            }
+        }
+    }
+
+    /**
+     * Find the table for a row element, inferring one when there is no schema
+     */
+    getTable(dataSet, element) {
+        let table = dataSet.tables.find(t => t.name === element.localName);
+        if (!table) {
+            table = { name: element.localName, columns: [], primaryKey: [], rows: [], parent: null, inferred: true };
+            dataSet.tables.push(table);
+        }
+        if (table.inferred) {
+            for (const child of this.childElements(element)) {
+                if (!table.columns.some(c => c.name === child.localName)) {
+                    table.columns.push({ name: child.localName, type: 'string', dataType: null, mapping: 'element', allowNull: true });
+                }
+            }
+        }
+        return table;
+    }
+
+    /**
+     * Read column values from a row element; missing columns are DBNull (null)
+     */
+    readValues(element, table) {
+        const values = {};
+        for (const column of table.columns) {
+            let text = null;
+            if (column.mapping === 'attribute') {
+                if (element.hasAttribute(column.name)) text = element.getAttribute(column.name);
+            } else {
+                const child = this.childElements(element).find(el => el.localName === column.name);
+                if (child && child.getAttributeNS(DataSetParser.XSI, 'nil') !== 'true') text = child.textContent;
+            }
+            values[column.name] = text === null ? null : this.convertValue(text, column.type);
+        }
+        return values;
+    }
+
+    /**
+     * Attach diffgr:Error messages for the row and its columns
+     */
+    applyErrors(row, element) {
+        if (!element) return;
+        const DIFFGR = DataSetParser.DIFFGR;
+        row.error = element.getAttributeNS(DIFFGR, 'Error') || null;
+        row.columnErrors = {};
+        for (const child of this.childElements(element)) {
+            const message = child.getAttributeNS(DIFFGR, 'Error');
+            if (message) row.columnErrors[child.localName] = message;
+        }
+    }
+
+    /**
+     * Convert a column's XML text to a JS value where it is lossless
+     */
+    convertValue(text, type) {
+        switch (type) {
+            case 'boolean':
+                return text === 'true' || text === '1';
+            case 'int':
+            case 'short':
+            case 'byte':
+            case 'unsignedByte':
+            case 'unsignedShort':
+            case 'unsignedInt':
+            case 'double':
+            case 'float': {
+                const number = Number(text);
+                return isNaN(number) ? text : number;
+            }
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Read msdata:rowOrder as a number
+     */
+    rowOrder(element) {
+        const value = element.getAttributeNS(DataSetParser.MSDATA, 'rowOrder');
+        return value === null || value === '' ? null : parseInt(value, 10);
+    }
+
+    /**
+     * Parse an XML string, rejecting documents the parser could not read
+     */
+    parseXml(xml) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        const error = doc.getElementsByTagName('parsererror')[0];
+        if (error || !doc.documentElement) {
+            throw new Error('Invalid XML: ' + (error ? error.textContent.trim().split('\n')[0] : 'empty document'));
+        }
+        return doc;
+    }
+
+    /**
+     * The xs:complexType of an element declaration, if any
+     */
+    complexType(element) {
+        return this.childElements(element, DataSetParser.XS, 'complexType')[0] || null;
+    }
+
+    /**
+     * Element declarations inside an element's complexType (sequence, choice or all)
+     */
+    contentElements(element) {
+        const complexType = this.complexType(element);
+        if (!complexType) return [];
+        const groups = this.childElements(complexType).filter(el => ['sequence', 'choice', 'all'].includes(el.localName));
+        return groups.flatMap(group => this.childElements(group, DataSetParser.XS, 'element'));
+    }
+
+    /**
+     * Direct child elements, optionally filtered by namespace and local name
+     */
+    childElements(element, namespace, localName) {
+        return Array.from(element.childNodes).filter(node => node.nodeType === 1 &&
+            (!namespace || node.namespaceURI === namespace) &&
+            (!localName || node.localName === localName));
+    }
+
+    /**
+     * Strip a namespace prefix from a qualified name
+     */
+    localName(name) {
+        return name.substring(name.indexOf(':') + 1);
+    }
+
+    /**
+     * Split a whitespace separated list
+     */
+    splitList(value) {
+        return value ? value.trim().split(/\s+/) : [];
+    }
+}
+
+DataSetParser.XS = 'http://www.w3.org/2001/XMLSchema';
+DataSetParser.XSI = 'http://www.w3.org/2001/XMLSchema-instance';
+DataSetParser.MSDATA = 'urn:schemas-microsoft-com:xml-msdata';
+DataSetParser.DIFFGR = 'urn:schemas-microsoft-com:xml-diffgram-v1';
+
+// Export for use in other modules
+window.DataSetParser = DataSetParser;
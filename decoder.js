@@ -19,18 +19,87 @@ class ViewStateDecoder {
         };
         this.stringTable = [];
         this.typeTable = [];
+        this.format = 'binary';
+        this.diagnostics = [];
+        this.strict = false;
+        this.compression = new ViewStateCompression();
     }
 
     /**
      * Main decode function - entry point
+     * The result carries both the typed node tree (`tree`, with byte offsets
+     * into `bytes`) and its plain JSON projection (`data`), plus the
+     * `diagnostics` recorded while parsing. Compressed input is only
+     * recognised by decodeAsync(), which can try to inflate it
      * @param {string} viewStateString - Base64 encoded ViewState
+     * @param {object} [options] - { strict: throw on the first warning or error }
      * @returns {object} Decoded ViewState structure
      */
-    decode(viewStateString) {
+    decode(viewStateString, options = {}) {
+        const cleanedInput = ViewStateDecoder.cleanInput(viewStateString);
+
+        try {
+            const bytes = ViewStateDecoder.base64ToBytes(cleanedInput);
+            return this.decodeBytes(bytes, options);
+        } catch (error) {
+            if (options.strict) throw error;
+
+            // Fallback: extract readable content
+            return this.fallbackDecode(cleanedInput, error);
+        }
+    }
+
+    /**
+     * Decode a ViewState that may be gzip, zlib or raw deflate compressed
+     * Uncompressed input gives the same result as decode(); a decompressed one
+     * also records `compression` and the `compressedSize` in bytes.
+     * @param {string} viewStateString - Base64 encoded ViewState
+     * @param {object} [options] - As for decode()
+     * @returns {Promise<object>} Decoded ViewState structure
+     */
+    async decodeAsync(viewStateString, options = {}) {
+        let bytes;
+        try {
+            bytes = ViewStateDecoder.base64ToBytes(ViewStateDecoder.cleanInput(viewStateString));
+        } catch (error) {
+            return this.decode(viewStateString, options);
+        }
+
+        // Only bytes that inflate to ViewState count as compressed
+        const plain = await this.compression.inflate(bytes);
+        if (!plain) return this.decode(viewStateString, options);
+        const { compression } = plain;
+
+        let result;
+        try {
+            result = this.decodeBytes(plain.bytes, options);
+        } catch (error) {
+            if (options.strict) throw error;
+            return {
+                success: false,
+                compression,
+                error: 'Decompressed ViewState could not be parsed: ' + error.message
+            };
+        }
+        result.compression = compression;
+        result.compressedSize = bytes.length;
+        return result;
+    }
+
+    /**
+     * Decode already Base64-decoded (or decrypted) ViewState bytes
+     * @param {Uint8Array} bytes - Serialized ViewState
+     * @param {object} [options] - { strict: throw on the first warning or error }
+     * @returns {object} Decoded ViewState structure
+     */
+    decodeBytes(bytes, options = {}) {
         // Reset state
         this.position = 0;
+        this.data = bytes;
         this.stringTable = [];
         this.typeTable = [];
+        this.diagnostics = [];
+        this.strict = Boolean(options.strict);
         this.stats = {
             pairs: 0,
             triplets: 0,
@@ -41,45 +110,39 @@ class ViewStateDecoder {
             objects: 0
         };
 
-        // Clean the input
-        let cleanedInput = viewStateString.trim();
-
-        // Handle URL encoding
-        if (cleanedInput.includes('%')) {
-            try {
-                cleanedInput = decodeURIComponent(cleanedInput);
-            } catch (e) {
-                // Keep original if decode fails
-            }
-        }
-
-        try {
-            // Decode Base64
-            const binaryString = atob(cleanedInput);
-            this.data = new Uint8Array(binaryString.length);
-            for (let i = 0; i < binaryString.length; i++) {
-                this.data[i] = binaryString.charCodeAt(i);
-            }
+        // Parse the ViewState (binary ObjectStateFormatter or 1.x text LosFormatter)
+        this.format = LosTextFormatter.isTextFormat(bytes) ? 'text' : 'binary';
+        const tree = this.format === 'text'
+            ? new LosTextFormatter(this).parse()
+            : this.parseViewState();
+        const protection = this.detectProtection();
 
-            // Parse the ViewState
-            const result = this.parseViewState();
-
-            return {
-                success: true,
-                data: result,
-                stats: this.stats,
-                rawSize: this.data.length
-            };
-        } catch (error) {
-            // Fallback: extract readable content
-            return this.fallbackDecode(cleanedInput, error);
-        }
+        return {
+            success: true,
+            data: this.toPlain(tree),
+            tree,
+            format: this.format,
+            bytes: this.data,
+            stats: this.stats,
+            rawSize: this.data.length,
+            protection: protection.status,
+            signature: protection.signature,
+            diagnostics: this.diagnostics
+        };
     }
 
     /**
      * Fallback decoder - extracts readable strings and structured data
      */
     fallbackDecode(input, originalError) {
+        this.diagnostics = [{
+            severity: 'error',
+            offset: this.position,
+            code: 'PARSE_FAILED',
+            message: originalError.message
+        }];
+        this.strict = false;
+
         try {
             const binaryString = atob(input);
             this.data = new Uint8Array(binaryString.length);
@@ -95,6 +158,7 @@ class ViewStateDecoder {
                 data: extracted,
                 stats: this.stats,
                 rawSize: this.data.length,
+                diagnostics: this.diagnostics,
                 note: 'Parsed using content extraction mode'
             };
         } catch (e) {
@@ -134,10 +198,11 @@ class ViewStateDecoder {
             result.content.strings = strings;
         }
 
-        // Try to parse as structured ViewState
+        // Try to parse as structured ViewState (the text format already failed above)
         this.position = 0;
         try {
-            const structured = this.parseViewState();
+            if (this.format === 'text') throw new Error('Text format could not be parsed');
+            const structured = this.toPlain(this.parseViewState());
             if (structured && Object.keys(structured).length > 0) {
                 result.content.structure = structured;
             }
@@ -209,8 +274,18 @@ class ViewStateDecoder {
 
     /**
      * Parse XML schema to extract column/field definitions
+     * Complete schemas and diffgrams are parsed as a DataSet; truncated
+     * fragments fall back to scanning for element names
      */
     parseXmlSchema(xmlContent) {
+        const isDiffgram = xmlContent.startsWith('<diffgr:');
+        const parsed = isDiffgram
+            ? new DataSetParser().parse(null, xmlContent)
+            : new DataSetParser().parse(xmlContent, null);
+        if (parsed.success) {
+            return { type: isDiffgram ? 'DataSet DiffGram' : 'DataSet Schema', ...parsed.dataSet };
+        }
+
         const result = {
             type: 'DataTable Schema',
             tables: [],
@@ -321,6 +396,7 @@ class ViewStateDecoder {
 
     /**
      * Parse ViewState binary format
+     * @returns {object|null} Typed root node
      */
     parseViewState() {
         if (this.data.length === 0) {
@@ -333,11 +409,68 @@ class ViewStateDecoder {
         if (marker === 0xFF) {
             // LosFormatter with version
             const version = this.readByte();
-            return this.parseObject();
+            return this.parseNode();
         } else {
             // Reset and try as ObjectStateFormatter
             this.position = 0;
-            return this.parseObject();
+            return this.parseNode();
+        }
+    }
+
+    /**
+     * Classify the bytes following the root object
+     * MAC-protected pages append the HMAC right after the serialized state,
+     * so the trailer length identifies the validation algorithm. Binary
+     * payloads without the 0xFF 0x01 header are treated as encrypted.
+     * @returns {{status: string, signature: object|null}} Protection summary
+     */
+    detectProtection() {
+        const hasHeader = this.data.length >= 2 && this.data[0] === 0xFF && this.data[1] === 0x01;
+        if (this.format !== 'text' && !hasHeader) {
+            return { status: 'encrypted', signature: null };
+        }
+
+        const offset = this.position;
+        const length = this.data.length - offset;
+        if (length <= 0) {
+            return { status: 'unsigned', signature: null };
+        }
+
+        const bytes = this.data.slice(offset);
+        const algorithms = ViewStateDecoder.SIGNATURE_LENGTHS[length] || [];
+        if (algorithms.length === 0) {
+            this.report('warning', 'TRAILING_DATA', `${length} bytes after the root object do not match a known MAC length`, offset);
+        }
+
+        return {
+            status: algorithms.length > 0 ? 'signed' : 'unknown',
+            signature: {
+                offset,
+                length,
+                algorithms,
+                hex: Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')
+            }
+        };
+    }
+
+    /**
+     * Record a diagnostic; in strict mode warnings and errors throw
+     * @param {string} severity - 'error', 'warning' or 'info'
+     * @param {string} code - Stable identifier such as TRUNCATED or COUNT_LIMIT
+     * @param {string} message - Human readable description
+     * @param {number} [offset] - Byte offset the problem was found at
+     */
+    report(severity, code, message, offset = this.position) {
+        const last = this.diagnostics[this.diagnostics.length - 1];
+        if (last && last.code === code && last.offset === offset) return;
+
+        const diagnostic = { severity, offset, code, message };
+        this.diagnostics.push(diagnostic);
+
+        if (this.strict && severity !== 'info') {
+            const error = new Error(`${message} (offset ${offset})`);
+            error.diagnostic = diagnostic;
+            throw error;
         }
     }
 
@@ -346,6 +479,7 @@ class ViewStateDecoder {
      */
     readByte() {
         if (this.position >= this.data.length) {
+            this.report('error', 'TRUNCATED', 'Read past the end of the data');
             return 0;
         }
         return this.data[this.position++];
@@ -370,7 +504,12 @@ class ViewStateDecoder {
         let byte;
 
         do {
-            if (shift >= 35 || this.position >= this.data.length) {
+            if (shift >= 35) {
+                this.report('error', 'INVALID_INT', '7-bit encoded integer is longer than 5 bytes');
+                return result;
+            }
+            if (this.position >= this.data.length) {
+                this.report('error', 'TRUNCATED', 'Data ends inside a 7-bit encoded integer');
                 return result;
             }
             byte = this.readByte();
@@ -385,17 +524,20 @@ class ViewStateDecoder {
      * Read a length-prefixed string
      */
     readString() {
+        const offset = this.position;
         const length = this.read7BitEncodedInt();
-        if (length === 0 || length > 100000) return '';
+        if (length === 0) return '';
 
         const available = Math.min(length, this.data.length - this.position);
+        if (available < length) {
+            this.report('error', 'TRUNCATED', `String of ${length} bytes has only ${Math.max(available, 0)} bytes left`, offset);
+        }
         if (available <= 0) return '';
 
         const bytes = this.data.slice(this.position, this.position + available);
         this.position += available;
 
         try {
-            this.stats.strings++;
             return new TextDecoder('utf-8').decode(bytes);
         } catch {
             return String.fromCharCode.apply(null, Array.from(bytes));
@@ -407,330 +549,518 @@ class ViewStateDecoder {
      */
     readBytes(count) {
         const available = Math.min(count, this.data.length - this.position);
+        if (available < count) {
+            this.report('error', 'TRUNCATED', `Expected ${count} bytes, ${Math.max(available, 0)} left`);
+        }
         const bytes = this.data.slice(this.position, this.position + available);
         this.position += available;
         return bytes;
     }
 
     /**
-     * Parse an object based on type marker
+     * Read a single UTF-8 encoded character (BinaryWriter.Write(char))
+     */
+    readChar() {
+        const lead = this.readByte();
+        let extra = 0;
+        if (lead >= 0xF0) extra = 3;
+        else if (lead >= 0xE0) extra = 2;
+        else if (lead >= 0xC0) extra = 1;
+
+        const bytes = new Uint8Array([lead, ...this.readBytes(extra)]);
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+
+    /**
+     * Read a little-endian 32-bit signed integer
+     */
+    readInt32() {
+        const bytes = this.readBytes(4);
+        if (bytes.length < 4) return 0;
+        return new DataView(bytes.buffer).getInt32(0, true);
+    }
+
+    /**
+     * Read a type reference (TypeRefAdd, TypeRefAddLocal or TypeRef)
+     * Newly added types are appended to the type table
+     * @returns {{token: number, name: string, index: number}} Type reference
+     */
+    readTypeRef() {
+        const token = this.readByte();
+
+        switch (token) {
+            case 0x29: // TypeRefAdd (assembly qualified name)
+            case 0x2A: { // TypeRefAddLocal (System.Web type)
+                const name = this.readString();
+                this.typeTable.push(name);
+                return { token, name, index: this.typeTable.length - 1 };
+            }
+
+            case 0x2B: { // TypeRef (index into type table)
+                const index = this.read7BitEncodedInt();
+                if (index >= this.typeTable.length) {
+                    this.report('warning', 'BAD_TYPE_REF', `Type reference ${index} is not in the type table (${this.typeTable.length} entries)`);
+                    return { token, name: `<TypeRef:${index}>`, index };
+                }
+                return { token, name: this.typeTable[index], index };
+            }
+
+            default:
+                this.report('warning', 'UNKNOWN_TYPE_TOKEN', `Unknown type reference token 0x${token.toString(16).padStart(2, '0')}`, this.position - 1);
+                return { token, name: `<UnknownType:0x${token.toString(16).padStart(2, '0')}>`, index: -1 };
+        }
+    }
+
+    /**
+     * Parse an object and return its plain JavaScript projection
      */
     parseObject() {
+        return this.toPlain(this.parseNode());
+    }
+
+    /**
+     * Parse an object into a typed node
+     * Token values follow System.Web.UI.ObjectStateFormatter. Every node records
+     * its token, .NET type and the [start, end) byte range it occupies in this.data
+     * @returns {object|null} Typed node, or null when no data is left
+     */
+    parseNode() {
         if (this.position >= this.data.length) {
+            this.report('error', 'TRUNCATED', 'Expected an object but reached the end of the data');
             return null;
         }
 
-        const typeMarker = this.readByte();
+        const start = this.position;
+        const token = this.readByte();
+        const info = ViewStateDecoder.TOKENS[token];
+
+        if (!info) {
+            // Try to recover by skipping unknown markers
+            return this.tryRecoverParse(token);
+        }
+
+        const node = {
+            token,
+            kind: info.kind,
+            type: info.type,
+            start,
+            end: start
+        };
 
-        switch (typeMarker) {
+        switch (token) {
             case 0x01: // Int16
-                return this.parseInt16();
+                this.stats.integers++;
+                node.value = this.readInt16();
+                break;
 
             case 0x02: // Int32 (7-bit encoded)
                 this.stats.integers++;
-                return this.read7BitEncodedInt();
+                node.value = this.read7BitEncodedInt();
+                break;
 
             case 0x03: // Byte
                 this.stats.integers++;
-                return this.readByte();
+                node.value = this.readByte();
+                break;
 
             case 0x04: // Char
-                return String.fromCharCode(this.readByte());
+                node.value = this.readChar();
+                break;
 
             case 0x05: // String
-                return this.readString();
+                this.stats.strings++;
+                node.value = this.readString();
+                break;
 
             case 0x06: // DateTime
-                return this.parseDateTime();
+                this.parseDateTime(node);
+                break;
 
             case 0x07: // Double
-                return this.parseDouble();
+                node.value = this.readDouble();
+                break;
 
-            case 0x08: // Float
-                return this.parseFloat();
+            case 0x08: // Single
+                node.value = this.readSingle();
+                break;
 
-            case 0x09: // Color
-                return this.parseColor();
+            case 0x09: // Color (ARGB)
+                node.value = this.readInt32();
+                break;
 
-            case 0x0A: // Empty
-                return null;
+            case 0x0A: // KnownColor
+                node.value = this.read7BitEncodedInt();
+                node.name = ViewStateDecoder.KNOWN_COLORS[node.value] || `KnownColor(${node.value})`;
+                break;
 
-            case 0x0B: // True
-                this.stats.booleans++;
-                return true;
-
-            case 0x0C: // False  
-                this.stats.booleans++;
-                return false;
+            case 0x0B: // IntEnum
+                this.stats.integers++;
+                node.typeRef = this.readTypeRef();
+                node.type = node.typeRef.name;
+                node.value = this.read7BitEncodedInt();
+                break;
 
             case 0x0F: // Pair
-                return this.parsePair();
+                this.stats.pairs++;
+                node.children = [this.parseNode(), this.parseNode()];
+                break;
 
             case 0x10: // Triplet
-                return this.parseTriplet();
+                this.stats.triplets++;
+                node.children = [this.parseNode(), this.parseNode(), this.parseNode()];
+                break;
 
             case 0x14: // Array
+                this.parseArray(node);
+                break;
+
             case 0x15: // StringArray
-                return this.parseArray();
+                this.parseStringArray(node);
+                break;
 
             case 0x16: // ArrayList
-                return this.parseArrayList();
+                this.parseArrayList(node);
+                break;
 
             case 0x17: // Hashtable
             case 0x18: // HybridDictionary
-                return this.parseHashtable();
+                this.parseHashtable(node);
+                break;
 
             case 0x19: // Type
-                return this.parseType();
+            case 0x29: // TypeRefAdd
+            case 0x2A: // TypeRefAddLocal
+            case 0x2B: // TypeRef
+                if (token !== 0x19) this.position--;
+                this.stats.objects++;
+                node.typeRef = this.readTypeRef();
+                node.value = node.typeRef.name;
+                break;
 
             case 0x1B: // Unit
-                return this.parseUnit();
-
-            case 0x1E: // Indexed string write
-                const str = this.readString();
-                this.stringTable.push(str);
-                return str;
-
-            case 0x1F: // Indexed string reference
-                const idx = this.read7BitEncodedInt();
-                return this.stringTable[idx] || `<StringRef:${idx}>`;
-
-            case 0x28: // Sparse array
-                return this.parseSparseArray();
+                node.value = this.readDouble();
+                node.unitType = this.readInt32();
+                break;
+
+            case 0x1D: // EventValidationStore
+                this.parseEventValidationStore(node);
+                break;
+
+            case 0x1E: // IndexedStringAdd
+                this.stats.strings++;
+                node.value = this.readString();
+                node.index = this.stringTable.length;
+                this.stringTable.push(node.value);
+                break;
+
+            case 0x1F: // IndexedString (byte index)
+                this.stats.strings++;
+                node.index = this.readByte();
+                if (node.index < this.stringTable.length) {
+                    node.value = this.stringTable[node.index];
+                } else {
+                    this.report('warning', 'BAD_STRING_REF', `String reference ${node.index} is not in the string table (${this.stringTable.length} entries)`, start);
+                    node.value = `<StringRef:${node.index}>`;
+                }
+                break;
 
-            case 0x29: // Binary serialized object
-            case 0x2A: // Binary serialized object
-                return this.parseBinaryObject();
+            case 0x28: // StringFormatted
+                this.stats.objects++;
+                this.stats.strings++;
+                node.typeRef = this.readTypeRef();
+                node.type = node.typeRef.name;
+                node.value = this.readString();
+                break;
 
-            case 0x32: // Typed array reference
-                return this.parseTypedArray();
+            case 0x32: // BinarySerialized
+                this.parseBinaryObject(node);
+                break;
 
-            case 0x3C: // Known type from table
-                return this.parseKnownType();
+            case 0x3C: // SparseArray
+                this.parseSparseArray(node);
+                break;
 
-            case 0x64: // Null constant
-                return null;
+            case 0x64: // Null
+                node.value = null;
+                break;
 
-            case 0x65: // Empty string constant
-                return '';
+            case 0x65: // EmptyString
+                node.value = '';
+                break;
 
-            case 0x66: // Zero int constant
+            case 0x66: // ZeroInt32
                 this.stats.integers++;
-                return 0;
-
-            case 0x67: // Boolean true constant  
-                this.stats.booleans++;
-                return true;
+                node.value = 0;
+                break;
 
-            case 0x68: // Boolean false constant
+            case 0x67: // True
+            case 0x68: // False
                 this.stats.booleans++;
-                return false;
+                node.value = token === 0x67;
+                break;
 
-            default:
-                // Try to recover by skipping unknown markers
-                return this.tryRecoverParse(typeMarker);
+            // 0x0C EmptyColor and 0x1C EmptyUnit carry no payload
         }
+
+        node.end = this.position;
+        return node;
     }
 
     /**
-     * Parse Int16
+     * Read a little-endian 16-bit signed integer
      */
-    parseInt16() {
-        this.stats.integers++;
-        const b1 = this.readByte();
-        const b2 = this.readByte();
-        return (b2 << 8) | b1;
+    readInt16() {
+        const bytes = this.readBytes(2);
+        if (bytes.length < 2) return 0;
+        return new DataView(bytes.buffer).getInt16(0, true);
     }
 
     /**
-     * Parse DateTime
+     * Parse DateTime (DateTime.ToBinary, kind stored in the top two bits)
+     * The raw Int64 is kept as a decimal string for exact re-encoding
      */
-    parseDateTime() {
+    parseDateTime(node) {
         const bytes = this.readBytes(8);
-        if (bytes.length < 8) return '<DateTime>';
+        if (bytes.length < 8) {
+            node.value = '<DateTime>';
+            return;
+        }
+
+        const binary = new DataView(bytes.buffer).getBigInt64(0, true);
+        node.raw = binary.toString();
+        node.dateKind = ['Unspecified', 'Utc', 'Local', 'Local'][Number(BigInt.asUintN(64, binary) >> 62n)];
 
         try {
-            let ticks = 0n;
-            for (let i = 0; i < 8; i++) {
-                ticks |= BigInt(bytes[i]) << BigInt(i * 8);
-            }
+            const ticks = BigInt.asUintN(64, binary) & 0x3FFFFFFFFFFFFFFFn;
             const epochDiff = 621355968000000000n;
             const jsTimestamp = Number((ticks - epochDiff) / 10000n);
-            return new Date(jsTimestamp).toISOString();
+            node.value = new Date(jsTimestamp).toISOString();
         } catch {
-            return '<DateTime>';
+            node.value = '<DateTime>';
         }
     }
 
     /**
-     * Parse Double
+     * Read a little-endian Double
      */
-    parseDouble() {
+    readDouble() {
         const bytes = this.readBytes(8);
         if (bytes.length < 8) return 0;
         return new DataView(bytes.buffer).getFloat64(0, true);
     }
 
     /**
-     * Parse Float
+     * Read a little-endian Single
      */
-    parseFloat() {
+    readSingle() {
         const bytes = this.readBytes(4);
         if (bytes.length < 4) return 0;
         return new DataView(bytes.buffer).getFloat32(0, true);
     }
 
     /**
-     * Parse Color
-     */
-    parseColor() {
-        const argb = this.read7BitEncodedInt();
-        const a = (argb >> 24) & 0xFF;
-        const r = (argb >> 16) & 0xFF;
-        const g = (argb >> 8) & 0xFF;
-        const b = argb & 0xFF;
-        return `rgba(${r}, ${g}, ${b}, ${(a / 255).toFixed(2)})`;
-    }
-
-    /**
-     * Parse Pair
+     * Parse Array (element type followed by the items)
      */
-    parsePair() {
-        this.stats.pairs++;
-        const first = this.parseObject();
-        const second = this.parseObject();
-        return {
-            type: 'Pair',
-            first,
-            second
-        };
-    }
+    parseArray(node) {
+        this.stats.arrays++;
+        node.typeRef = this.readTypeRef();
+        node.type = `${ViewStateDecoder.shortTypeName(node.typeRef.name)}[]`;
+        node.children = [];
 
-    /**
-     * Parse Triplet
-     */
-    parseTriplet() {
-        this.stats.triplets++;
-        const first = this.parseObject();
-        const second = this.parseObject();
-        const third = this.parseObject();
-        return {
-            type: 'Triplet',
-            first,
-            second,
-            third
-        };
+        const length = this.readCount('Array');
+        for (let i = 0; i < length && this.position < this.data.length; i++) {
+            node.children.push(this.parseNode());
+        }
+        this.checkComplete('Array', length, node.children.length);
     }
 
     /**
-     * Parse Array
+     * Parse StringArray (strings are written without a type marker)
      */
-    parseArray() {
+    parseStringArray(node) {
         this.stats.arrays++;
-        const length = this.read7BitEncodedInt();
-        if (length > 10000) return [];
+        node.children = [];
 
-        const array = [];
+        const length = this.readCount('String array');
         for (let i = 0; i < length && this.position < this.data.length; i++) {
-            array.push(this.parseObject());
+            const start = this.position;
+            this.stats.strings++;
+            const value = this.readString();
+            node.children.push({
+                token: null,
+                kind: 'String',
+                type: 'System.String',
+                start,
+                end: this.position,
+                value
+            });
         }
-        return array;
+        this.checkComplete('String array', length, node.children.length);
     }
 
     /**
      * Parse ArrayList
      */
-    parseArrayList() {
+    parseArrayList(node) {
         this.stats.arrays++;
-        const count = this.read7BitEncodedInt();
-        if (count > 10000) return [];
+        node.children = [];
 
-        const list = [];
+        const count = this.readCount('ArrayList');
         for (let i = 0; i < count && this.position < this.data.length; i++) {
-            list.push(this.parseObject());
+            node.children.push(this.parseNode());
         }
-        return list;
+        this.checkComplete('ArrayList', count, node.children.length);
     }
 
     /**
-     * Parse Hashtable
+     * Parse Hashtable (keys are kept as typed nodes, in stream order)
      */
-    parseHashtable() {
-        const count = this.read7BitEncodedInt();
-        if (count > 10000) return {};
+    parseHashtable(node) {
+        node.entries = [];
 
-        const result = {};
+        const count = this.readCount('Hashtable');
         for (let i = 0; i < count && this.position < this.data.length; i++) {
-            const key = this.parseObject();
-            const value = this.parseObject();
-            result[String(key)] = value;
+            const key = this.parseNode();
+            const value = this.parseNode();
+            node.entries.push({ key, value });
         }
-        return result;
+        this.checkComplete('Hashtable', count, node.entries.length);
     }
 
     /**
-     * Parse Type reference
+     * Parse EventValidationStore (.NET 4.5+ __EVENTVALIDATION payload)
      */
-    parseType() {
+    parseEventValidationStore(node) {
         this.stats.objects++;
-        const typeName = this.readString();
-        this.typeTable.push(typeName);
-        return { type: 'TypeRef', name: typeName };
-    }
+        node.version = this.readByte();
+        node.hashes = [];
 
-    /**
-     * Parse Unit (CSS)
-     */
-    parseUnit() {
-        const value = this.parseDouble();
-        const unitType = this.read7BitEncodedInt();
-        const units = ['', 'px', 'pt', '%', 'em', 'ex', 'mm', 'cm', 'in', 'pc'];
-        return `${value}${units[unitType] || ''}`;
+        const count = this.readCount('Event validation');
+        for (let i = 0; i < count && this.position < this.data.length; i++) {
+            const bytes = this.readBytes(16);
+            node.hashes.push(Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(''));
+        }
+        this.checkComplete('Event validation', count, node.hashes.length);
     }
 
     /**
-     * Parse Sparse Array
+     * Parse Sparse Array (element type, length, then index/value pairs)
      */
-    parseSparseArray() {
+    parseSparseArray(node) {
         this.stats.arrays++;
-        const length = this.read7BitEncodedInt();
+        node.typeRef = this.readTypeRef();
+        node.type = `${ViewStateDecoder.shortTypeName(node.typeRef.name)}[]`;
+        const lengthOffset = this.position;
+        node.length = this.read7BitEncodedInt();
+        node.entries = [];
+        if (node.length > ViewStateDecoder.MAX_COUNT) {
+            this.report('info', 'COUNT_LIMIT', `Sparse array length ${node.length}; the tree view shows the first ${ViewStateDecoder.MAX_COUNT} slots`, lengthOffset);
+        }
+
+        const offset = this.position;
         const count = this.read7BitEncodedInt();
-        if (length > 10000) return [];
+        if (count > node.length) {
+            this.report('error', 'INVALID_LENGTH', `Sparse array has ${count} items but a length of ${node.length}`, offset);
+        }
 
-        const result = new Array(Math.min(length, 1000)).fill(null);
         for (let i = 0; i < count && this.position < this.data.length; i++) {
             const index = this.read7BitEncodedInt();
-            const value = this.parseObject();
-            if (index < result.length) {
-                result[index] = value;
-            }
+            const value = this.parseNode();
+            node.entries.push({ index, value });
+        }
+        this.checkComplete('Sparse array', count, node.entries.length);
+    }
+
+    /**
+     * Read an element count
+     * Every item is still parsed so the stream stays in step; a corrupt count
+     * runs into the end of the data and is reported by checkComplete()
+     */
+    readCount(what) {
+        const offset = this.position;
+        const count = this.read7BitEncodedInt();
+        if (count > ViewStateDecoder.MAX_COUNT) {
+            this.report('info', 'COUNT_LIMIT', `${what} has ${count} items; the tree view shows the first ${ViewStateDecoder.MAX_COUNT}`, offset);
+        }
+        return count;
+    }
+
+    /**
+     * Report a collection cut short by the end of the data
+     */
+    checkComplete(what, expected, actual) {
+        if (actual < expected) {
+            this.report('error', 'TRUNCATED', `${what} ends after ${actual} of ${expected} items`);
         }
-        return result;
     }
 
     /**
      * Parse Binary serialized object (BinaryFormatter)
      * These are complex .NET objects like DataTable
      */
-    parseBinaryObject() {
+    parseBinaryObject(node) {
         this.stats.objects++;
         const length = this.read7BitEncodedInt();
+        node.size = length;
 
         if (length > this.data.length - this.position || length < 0) {
-            return { type: 'BinaryObject', size: length };
+            this.report('error', 'TRUNCATED', `Binary object of ${length} bytes has only ${this.data.length - this.position} bytes left`);
+            return;
         }
 
-        const startPos = this.position;
-        const bytes = this.readBytes(length);
+        this.describeBinaryObject(node, this.readBytes(length));
+    }
 
-        // Try to extract content from binary object
-        const content = this.extractBinaryObjectContent(bytes);
+    /**
+     * Fill a BinarySerialized node from its BinaryFormatter bytes
+     */
+    describeBinaryObject(node, bytes) {
+        node.raw = ViewStateDecoder.bytesToBase64(bytes);
+
+        // Resolve the BinaryFormatter object graph
+        const graph = new NrbfParser().parse(bytes);
+        if (graph.success) {
+            node.graph = graph.root;
+            node.className = graph.root.className || null;
+            node.assembly = graph.root.assembly || null;
+            node.dataSets = this.findDataSets(graph.root, new Set());
+            return;
+        }
 
-        return {
-            type: 'BinarySerializedObject',
-            size: length,
-            content
+        // Fall back to scraping content from the binary object
+        this.report('warning', 'BINARY_FORMAT', `BinaryFormatter payload could not be parsed: ${graph.error}`, node.start);
+        node.graphError = graph.error;
+        node.content = this.extractBinaryObjectContent(bytes);
+        node.dataSets = node.content.dataSet ? [node.content.dataSet] : [];
+    }
+
+    /**
+     * Find DataSets and DataTables in a BinaryFormatter graph
+     * With the default Xml remoting format they serialize an XmlSchema and an XmlDiffGram member
+     */
+    findDataSets(graphNode, visited) {
+        if (!graphNode || visited.has(graphNode)) return [];
+        visited.add(graphNode);
+
+        if (graphNode.kind === 'Array') {
+            return graphNode.items.flatMap(item => this.findDataSets(item, visited));
+        }
+        if (graphNode.kind !== 'Object') return [];
+
+        const member = name => {
+            const found = graphNode.members.find(m => m.name === name);
+            return found && found.value.kind === 'String' ? found.value.value : null;
         };
+        const schema = member('XmlSchema');
+        const diffgram = member('XmlDiffGram');
+        if (schema !== null || diffgram !== null) {
+            const parsed = new DataSetParser().parse(schema, diffgram);
+            return [parsed.success
+                ? { className: graphNode.className, ...parsed.dataSet }
+                : { className: graphNode.className, error: parsed.error }];
+        }
+
+        return graphNode.members.flatMap(m => this.findDataSets(m.value, visited));
     }
 
     /**
@@ -740,23 +1070,34 @@ class ViewStateDecoder {
         const str = String.fromCharCode.apply(null, Array.from(bytes));
         const result = {};
 
-        // Look for DataTable
-        if (str.includes('System.Data.DataTable')) {
-            result.objectType = 'DataTable';
+        // Look for DataTable or DataSet
+        const dataType = str.match(/System\.Data\.(DataTable|DataSet)/);
+        if (dataType) {
+            result.objectType = dataType[1];
+            const text = new TextDecoder('utf-8').decode(bytes);
 
             // Extract XML schema if present
-            const schemaStart = str.indexOf('<?xml');
-            const schemaEnd = str.indexOf('</xs:schema>');
-            if (schemaStart !== -1 && schemaEnd !== -1) {
-                const schemaXml = str.substring(schemaStart, schemaEnd + 12);
-                result.schema = this.parseXmlSchema(schemaXml);
-            }
+            const schemaStart = text.indexOf('<xs:schema');
+            const schemaEnd = text.indexOf('</xs:schema>');
+            const schemaXml = schemaStart !== -1 && schemaEnd !== -1
+                ? text.substring(schemaStart, schemaEnd + 12)
+                : null;
 
             // Extract diffgram data
-            const diffStart = str.indexOf('<diffgr:diffgram');
-            const diffEnd = str.indexOf('</diffgr:diffgram>');
-            if (diffStart !== -1 && diffEnd !== -1) {
-                result.hasDiffgram = true;
+            const diffStart = text.indexOf('<diffgr:diffgram');
+            const diffEnd = text.indexOf('</diffgr:diffgram>');
+            const diffgramXml = diffStart !== -1 && diffEnd !== -1
+                ? text.substring(diffStart, diffEnd + 18)
+                : null;
+            result.hasDiffgram = diffgramXml !== null;
+
+            if (schemaXml || diffgramXml) {
+                const parsed = new DataSetParser().parse(schemaXml, diffgramXml);
+                if (parsed.success) {
+                    result.dataSet = parsed.dataSet;
+                } else if (schemaXml) {
+                    result.schema = this.parseXmlSchema(schemaXml);
+                }
             }
         }
 
@@ -770,54 +1111,146 @@ class ViewStateDecoder {
     }
 
     /**
-     * Parse Typed Array
+     * Try to recover parsing when encountering unknown marker
      */
-    parseTypedArray() {
-        this.stats.arrays++;
-        const typeIndex = this.read7BitEncodedInt();
-        const length = this.read7BitEncodedInt();
+    tryRecoverParse(marker) {
+        const start = this.position - 1;
 
-        const array = [];
-        for (let i = 0; i < length && this.position < this.data.length && i < 1000; i++) {
-            array.push(this.parseObject());
+        // Check if this might be start of a string length
+        // The speculative read must not leave diagnostics behind or throw in strict mode
+        if (marker > 0 && marker < 128) {
+            this.position--;
+            const mark = this.diagnostics.length;
+            const strict = this.strict;
+            this.strict = false;
+            const possibleString = this.readString();
+            const clean = this.diagnostics.length === mark;
+            this.diagnostics.length = mark;
+            this.strict = strict;
+
+            if (clean && possibleString.length > 0 && /^[\x20-\x7E\s]+$/.test(possibleString)) {
+                this.report('warning', 'RECOVERED', `Unknown token 0x${marker.toString(16).padStart(2, '0')} read as a length-prefixed string`, start);
+                return {
+                    token: null,
+                    kind: 'RecoveredString',
+                    type: 'System.String',
+                    start,
+                    end: this.position,
+                    value: possibleString
+                };
+            }
         }
+
+        this.report('error', 'UNKNOWN_TOKEN', `Unknown token 0x${marker.toString(16).padStart(2, '0')}`, start);
         return {
-            type: 'TypedArray',
-            typeIndex,
-            items: array
+            token: marker,
+            kind: 'Unknown',
+            type: null,
+            start,
+            end: this.position,
+            marker: `0x${marker.toString(16).padStart(2, '0')}`
         };
     }
 
     /**
-     * Parse Known Type reference
+     * Project a typed node onto the plain JSON model
+     * Pairs, Triplets and other structured .NET values become objects with a
+     * `type` key; numbers, strings and booleans become bare values
      */
-    parseKnownType() {
-        const index = this.read7BitEncodedInt();
-        return this.typeTable[index] || { type: 'KnownType', index };
-    }
+    toPlain(node) {
+        if (!node) return null;
+
+        switch (node.kind) {
+            case 'Color': {
+                const argb = node.value;
+                const a = (argb >> 24) & 0xFF;
+                const r = (argb >> 16) & 0xFF;
+                const g = (argb >> 8) & 0xFF;
+                const b = argb & 0xFF;
+                return `rgba(${r}, ${g}, ${b}, ${(a / 255).toFixed(2)})`;
+            }
 
-    /**
-     * Try to recover parsing when encountering unknown marker
-     */
-    tryRecoverParse(marker) {
-        // Check if this might be start of a string length
-        if (marker > 0 && marker < 128) {
-            this.position--;
-            try {
-                const possibleString = this.readString();
-                if (possibleString && possibleString.length > 0 && /^[\x20-\x7E\s]+$/.test(possibleString)) {
-                    return possibleString;
+            case 'KnownColor':
+                return node.name;
+
+            case 'EmptyColor':
+            case 'EmptyUnit':
+                return '';
+
+            case 'Unit': {
+                return `${node.value}${ViewStateDecoder.UNIT_TYPES[node.unitType] || ''}`;
+            }
+
+            case 'IntEnum':
+                return { type: 'IntEnum', enumType: node.type, value: node.value };
+
+            case 'Pair':
+                return {
+                    type: 'Pair',
+                    first: this.toPlain(node.children[0]),
+                    second: this.toPlain(node.children[1])
+                };
+
+            case 'Triplet':
+                return {
+                    type: 'Triplet',
+                    first: this.toPlain(node.children[0]),
+                    second: this.toPlain(node.children[1]),
+                    third: this.toPlain(node.children[2])
+                };
+
+            case 'Array':
+            case 'StringArray':
+            case 'ArrayList':
+                return node.children.map(child => this.toPlain(child));
+
+            case 'SparseArray': {
+                const result = new Array(Math.max(0, Math.min(node.length, ViewStateDecoder.MAX_COUNT))).fill(null);
+                for (const entry of node.entries) {
+                    if (entry.index < result.length) {
+                        result[entry.index] = this.toPlain(entry.value);
+                    }
                 }
-            } catch {
-                // Recovery failed
+                return result;
             }
-        }
 
-        return {
-            type: 'Unknown',
-            marker: `0x${marker.toString(16).padStart(2, '0')}`,
-            position: this.position - 1
-        };
+            case 'Hashtable':
+            case 'HybridDictionary': {
+                const result = {};
+                for (const entry of node.entries) {
+                    result[String(this.toPlain(entry.key))] = this.toPlain(entry.value);
+                }
+                return result;
+            }
+
+            case 'Type':
+            case 'TypeRefAdd':
+            case 'TypeRefAddLocal':
+            case 'TypeRef':
+                return { type: 'TypeRef', name: node.value };
+
+            case 'EventValidationStore':
+                return { type: 'EventValidationStore', version: node.version, hashes: node.hashes };
+
+            case 'StringFormatted':
+                return { type: 'StringFormatted', typeName: node.type, value: node.value };
+
+            case 'BinarySerialized':
+                if (node.graph) {
+                    const plain = { type: 'BinarySerializedObject', size: node.size, value: NrbfParser.toPlain(node.graph) };
+                    if (node.dataSets.length > 0) plain.dataSets = node.dataSets;
+                    return plain;
+                }
+                return node.content
+                    ? { type: 'BinarySerializedObject', size: node.size, content: node.content, error: node.graphError }
+                    : { type: 'BinaryObject', size: node.size };
+
+            case 'Unknown':
+                return { type: 'Unknown', marker: node.marker, position: node.start };
+
+            default:
+                return node.value;
+        }
     }
 
     /**
@@ -828,5 +1261,175 @@ class ViewStateDecoder {
     }
 }
 
+/**
+ * ObjectStateFormatter tokens with their node kind and .NET type
+ * Array, IntEnum and StringFormatted nodes take their type from the stream
+ */
+ViewStateDecoder.TOKENS = {
+    0x01: { kind: 'Int16', type: 'System.Int16' },
+    0x02: { kind: 'Int32', type: 'System.Int32' },
+    0x03: { kind: 'Byte', type: 'System.Byte' },
+    0x04: { kind: 'Char', type: 'System.Char' },
+    0x05: { kind: 'String', type: 'System.String' },
+    0x06: { kind: 'DateTime', type: 'System.DateTime' },
+    0x07: { kind: 'Double', type: 'System.Double' },
+    0x08: { kind: 'Single', type: 'System.Single' },
+    0x09: { kind: 'Color', type: 'System.Drawing.Color' },
+    0x0A: { kind: 'KnownColor', type: 'System.Drawing.Color' },
+    0x0B: { kind: 'IntEnum', type: 'System.Enum' },
+    0x0C: { kind: 'EmptyColor', type: 'System.Drawing.Color' },
+    0x0F: { kind: 'Pair', type: 'System.Web.UI.Pair' },
+    0x10: { kind: 'Triplet', type: 'System.Web.UI.Triplet' },
+    0x14: { kind: 'Array', type: 'System.Object[]' },
+    0x15: { kind: 'StringArray', type: 'System.String[]' },
+    0x16: { kind: 'ArrayList', type: 'System.Collections.ArrayList' },
+    0x17: { kind: 'Hashtable', type: 'System.Collections.Hashtable' },
+    0x18: { kind: 'HybridDictionary', type: 'System.Collections.Specialized.HybridDictionary' },
+    0x19: { kind: 'Type', type: 'System.Type' },
+    0x1B: { kind: 'Unit', type: 'System.Web.UI.WebControls.Unit' },
+    0x1C: { kind: 'EmptyUnit', type: 'System.Web.UI.WebControls.Unit' },
+    0x1D: { kind: 'EventValidationStore', type: 'System.Web.UI.EventValidationStore' },
+    0x1E: { kind: 'IndexedStringAdd', type: 'System.Web.UI.IndexedString' },
+    0x1F: { kind: 'IndexedString', type: 'System.Web.UI.IndexedString' },
+    0x28: { kind: 'StringFormatted', type: 'System.Object' },
+    0x29: { kind: 'TypeRefAdd', type: 'System.Type' },
+    0x2A: { kind: 'TypeRefAddLocal', type: 'System.Type' },
+    0x2B: { kind: 'TypeRef', type: 'System.Type' },
+    0x32: { kind: 'BinarySerialized', type: 'System.Object' },
+    0x3C: { kind: 'SparseArray', type: 'System.Object[]' },
+    0x64: { kind: 'Null', type: null },
+    0x65: { kind: 'EmptyString', type: 'System.String' },
+    0x66: { kind: 'ZeroInt32', type: 'System.Int32' },
+    0x67: { kind: 'True', type: 'System.Boolean' },
+    0x68: { kind: 'False', type: 'System.Boolean' }
+};
+
+/**
+ * Items the tree view shows per collection; longer collections are still
+ * parsed in full, and a sparse array projects at most this many slots
+ */
+ViewStateDecoder.MAX_COUNT = 10000;
+
+/**
+ * Unit suffixes indexed by System.Web.UI.WebControls.UnitType
+ */
+ViewStateDecoder.UNIT_TYPES = ['', 'px', 'pt', 'pc', 'in', 'mm', 'cm', '%', 'em', 'ex'];
+
+/**
+ * Candidate MAC algorithms keyed by signature length in bytes
+ */
+ViewStateDecoder.SIGNATURE_LENGTHS = {
+    16: ['MD5'],
+    20: ['HMACSHA1'],
+    32: ['HMACSHA256'],
+    48: ['HMACSHA384'],
+    64: ['HMACSHA512']
+};
+
+/**
+ * Strip the assembly part from an assembly qualified type name
+ */
+ViewStateDecoder.shortTypeName = function (typeName) {
+    const comma = typeName.indexOf(',');
+    return comma === -1 ? typeName : typeName.substring(0, comma);
+};
+
+/**
+ * List the direct child nodes of a typed node (array items, pair members,
+ * hashtable keys and values, sparse array values)
+ */
+ViewStateDecoder.childNodes = function (node) {
+    if (!node) return [];
+    const children = (node.children || []).filter(Boolean);
+    for (const entry of node.entries || []) {
+        if (entry.key) children.push(entry.key);
+        if (entry.value) children.push(entry.value);
+    }
+    return children;
+};
+
+/**
+ * Trim and URL-decode a pasted ViewState string
+ */
+ViewStateDecoder.cleanInput = function (viewStateString) {
+    let cleanedInput = viewStateString.trim();
+
+    // Handle URL encoding
+    if (cleanedInput.includes('%')) {
+        try {
+            cleanedInput = decodeURIComponent(cleanedInput);
+        } catch (e) {
+            // Keep original if decode fails
+        }
+    }
+
+    return cleanedInput;
+};
+
+/**
+ * Convert a Base64 string to bytes
+ */
+ViewStateDecoder.base64ToBytes = function (base64) {
+    const binaryString = atob(base64);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes;
+};
+
+/**
+ * Convert bytes to a Base64 string
+ */
+ViewStateDecoder.bytesToBase64 = function (bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+};
+
+/**
+ * System.Drawing.KnownColor names indexed by enum value
+ */
+ViewStateDecoder.KNOWN_COLORS = [
+    null,
+    'ActiveBorder', 'ActiveCaption', 'ActiveCaptionText', 'AppWorkspace', 'Control',
+    'ControlDark', 'ControlDarkDark', 'ControlLight', 'ControlLightLight', 'ControlText',
+    'Desktop', 'GrayText', 'Highlight', 'HighlightText', 'HotTrack',
+    'InactiveBorder', 'InactiveCaption', 'InactiveCaptionText', 'Info', 'InfoText',
+    'Menu', 'MenuText', 'ScrollBar', 'Window', 'WindowFrame',
+    'WindowText', 'Transparent', 'AliceBlue', 'AntiqueWhite', 'Aqua',
+    'Aquamarine', 'Azure', 'Beige', 'Bisque', 'Black',
+    'BlanchedAlmond', 'Blue', 'BlueViolet', 'Brown', 'BurlyWood',
+    'CadetBlue', 'Chartreuse', 'Chocolate', 'Coral', 'CornflowerBlue',
+    'Cornsilk', 'Crimson', 'Cyan', 'DarkBlue', 'DarkCyan',
+    'DarkGoldenrod', 'DarkGray', 'DarkGreen', 'DarkKhaki', 'DarkMagenta',
+    'DarkOliveGreen', 'DarkOrange', 'DarkOrchid', 'DarkRed', 'DarkSalmon',
+    'DarkSeaGreen', 'DarkSlateBlue', 'DarkSlateGray', 'DarkTurquoise', 'DarkViolet',
+    'DeepPink', 'DeepSkyBlue', 'DimGray', 'DodgerBlue', 'Firebrick',
+    'FloralWhite', 'ForestGreen', 'Fuchsia', 'Gainsboro', 'GhostWhite',
+    'Gold', 'Goldenrod', 'Gray', 'Green', 'GreenYellow',
+    'Honeydew', 'HotPink', 'IndianRed', 'Indigo', 'Ivory',
+    'Khaki', 'Lavender', 'LavenderBlush', 'LawnGreen', 'LemonChiffon',
+    'LightBlue', 'LightCoral', 'LightCyan', 'LightGoldenrodYellow', 'LightGray',
+    'LightGreen', 'LightPink', 'LightSalmon', 'LightSeaGreen', 'LightSkyBlue',
+    'LightSlateGray', 'LightSteelBlue', 'LightYellow', 'Lime', 'LimeGreen',
+    'Linen', 'Magenta', 'Maroon', 'MediumAquamarine', 'MediumBlue',
+    'MediumOrchid', 'MediumPurple', 'MediumSeaGreen', 'MediumSlateBlue', 'MediumSpringGreen',
+    'MediumTurquoise', 'MediumVioletRed', 'MidnightBlue', 'MintCream', 'MistyRose',
+    'Moccasin', 'NavajoWhite', 'Navy', 'OldLace', 'Olive',
+    'OliveDrab', 'Orange', 'OrangeRed', 'Orchid', 'PaleGoldenrod',
+    'PaleGreen', 'PaleTurquoise', 'PaleVioletRed', 'PapayaWhip', 'PeachPuff',
+    'Peru', 'Pink', 'Plum', 'PowderBlue', 'Purple',
+    'Red', 'RosyBrown', 'RoyalBlue', 'SaddleBrown', 'Salmon',
+    'SandyBrown', 'SeaGreen', 'SeaShell', 'Sienna', 'Silver',
+    'SkyBlue', 'SlateBlue', 'SlateGray', 'Snow', 'SpringGreen',
+    'SteelBlue', 'Tan', 'Teal', 'Thistle', 'Tomato',
+    'Turquoise', 'Violet', 'Wheat', 'White', 'WhiteSmoke',
+    'Yellow', 'YellowGreen', 'ButtonFace', 'ButtonHighlight', 'ButtonShadow',
+    'GradientActiveCaption', 'GradientInactiveCaption', 'MenuBar', 'MenuHighlight'
+];
+
 // Export
 window.ViewStateDecoder = ViewStateDecoder;
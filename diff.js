@@ -0,0 +1,211 @@
+/**
+ * ViewState Structural Diff
+ * Compares two decoded views (the labelled page structure or the raw
+ * projection): objects are matched by key, arrays by a longest common
+ * subsequence of their items, so inserting an item does not show every later
+ * item as changed, and identical items found at another position are reported
+ * as moved. Subtree sizes come from the ViewStateSizes links of each view.
+ */
+
+class ViewStateDiff {
+    /**
+     * @param {ViewStateSizes} [sizes] - Sizes linked to both views
+     */
+    constructor(sizes = null) {
+        this.sizes = sizes;
+    }
+
+    /**
+     * Diff two views
+     * @param {*} before - Earlier view
+     * @param {*} after - Later view
+     * @param {string} key - Label of the root
+     * @param {number|null} sizeBefore - Encoded size of the earlier root
+     * @param {number|null} sizeAfter - Encoded size of the later root
+     * @returns {object} Root of { key, status, before, after, sizeBefore, sizeAfter, from, children }
+     *     with status 'same', 'changed', 'added', 'removed' or 'moved'
+     */
+    compare(before, after, key, sizeBefore, sizeAfter) {
+        return this.diff(before, after, key, sizeBefore, sizeAfter);
+    }
+
+    diff(a, b, key, sizeBefore = null, sizeAfter = null) {
+        const node = { key, status: 'same', before: a, after: b, sizeBefore, sizeAfter, from: null, children: [] };
+
+        if (a === undefined) {
+            node.status = 'added';
+        } else if (b === undefined) {
+            node.status = 'removed';
+        } else if (Array.isArray(a) && Array.isArray(b)) {
+            node.children = this.diffArray(a, b);
+        } else if (this.isObject(a) && this.isObject(b)) {
+            node.children = this.diffObject(a, b);
+        } else if (ViewStateDiff.signature(a) !== ViewStateDiff.signature(b)) {
+            node.status = 'changed';
+        }
+
+        if (node.children.some(child => child.status !== 'same')) node.status = 'changed';
+        return node;
+    }
+
+    /**
+     * Match object members by key, in the earlier view's order
+     */
+    diffObject(a, b) {
+        const keys = Object.keys(a).concat(Object.keys(b).filter(key => !(key in a)));
+        return keys.map(key => this.diff(a[key], b[key], key, this.sizeOf(a, key), this.sizeOf(b, key)));
+    }
+
+    /**
+     * Align array items: unchanged runs by LCS, then items found elsewhere as
+     * moved, then what is left in each gap paired by position as changed
+     */
+    diffArray(a, b) {
+        const sigA = a.map(ViewStateDiff.signature);
+        const sigB = b.map(ViewStateDiff.signature);
+        const pairs = ViewStateDiff.lcs(sigA, sigB);
+        const matchedA = new Set(pairs.map(([i]) => i));
+        const matchedB = new Set(pairs.map(([, j]) => j));
+
+        // Unmatched items that appear unchanged on the other side moved
+        const unmatched = new Map();
+        a.forEach((_, i) => {
+            if (matchedA.has(i)) return;
+            if (!unmatched.has(sigA[i])) unmatched.set(sigA[i], []);
+            unmatched.get(sigA[i]).push(i);
+        });
+        const movedFrom = new Map();
+        const movedA = new Set();
+        b.forEach((_, j) => {
+            const candidates = !matchedB.has(j) && unmatched.get(sigB[j]);
+            if (candidates && candidates.length > 0) {
+                const i = candidates.shift();
+                movedFrom.set(j, i);
+                movedA.add(i);
+            }
+        });
+
+        const children = [];
+        let nextA = 0;
+        let nextB = 0;
+        for (const [anchorA, anchorB] of pairs.concat([[a.length, b.length]])) {
+            const gapA = [];
+            for (let i = nextA; i < anchorA; i++) if (!movedA.has(i)) gapA.push(i);
+
+            let paired = 0;
+            for (let j = nextB; j < anchorB; j++) {
+                if (movedFrom.has(j)) {
+                    const i = movedFrom.get(j);
+                    children.push({ ...this.item(a, b, i, j), status: 'moved', from: i });
+                } else if (paired < gapA.length) {
+                    children.push(this.item(a, b, gapA[paired++], j));
+                } else {
+                    children.push(this.diff(undefined, b[j], j, null, this.sizeOf(b, j)));
+                }
+            }
+            for (const i of gapA.slice(paired)) {
+                children.push(this.diff(a[i], undefined, i, this.sizeOf(a, i), null));
+            }
+
+            if (anchorA < a.length) children.push(this.item(a, b, anchorA, anchorB));
+            nextA = anchorA + 1;
+            nextB = anchorB + 1;
+        }
+        return children;
+    }
+
+    /**
+     * Diff a[i] against b[j], keyed by the later index
+     */
+    item(a, b, i, j) {
+        const node = this.diff(a[i], b[j], j, this.sizeOf(a, i), this.sizeOf(b, j));
+        if (i !== j) node.from = i;
+        return node;
+    }
+
+    sizeOf(parent, key) {
+        return this.sizes ? this.sizes.sizeOf(parent, key) : null;
+    }
+
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+/**
+ * Identity of a value for matching
+ */
+ViewStateDiff.signature = function (value) {
+    return value === undefined ? 'undefined' : JSON.stringify(value);
+};
+
+/**
+ * Longest common subsequence of two signature lists, as index pairs
+ * Common ends are trimmed first; if the rest is still too large for the
+ * quadratic table, only the ends are matched.
+ * @returns {Array<number[]>} [[i, j], ...] in increasing order
+ */
+ViewStateDiff.lcs = function (a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const head = [];
+    for (let i = 0; i < start; i++) head.push([i, i]);
+    const tail = [];
+    for (let i = endA, j = endB; i < a.length; i++, j++) tail.push([i, j]);
+
+    const n = endA - start;
+    const m = endB - start;
+    if (n === 0 || m === 0 || n * m > ViewStateDiff.MAX_LCS_CELLS) return head.concat(tail);
+
+    // lengths[i][j] = LCS length of a[start + i..] and b[start + j..]
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lengths[i * width + j] = a[start + i] === b[start + j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const middle = [];
+    for (let i = 0, j = 0; i < n && j < m;) {
+        if (a[start + i] === b[start + j]) {
+            middle.push([start + i, start + j]);
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return head.concat(middle, tail);
+};
+
+/**
+ * Largest LCS table (items before x items after) to compute
+ */
+ViewStateDiff.MAX_LCS_CELLS = 4000000;
+
+/**
+ * Count the differences below a diff node: added, removed and moved subtrees,
+ * and changed values
+ */
+ViewStateDiff.summarize = function (node, counts = { added: 0, removed: 0, changed: 0, moved: 0 }) {
+    if (node.status === 'changed' && node.children.length > 0) {
+        node.children.forEach(child => ViewStateDiff.summarize(child, counts));
+    } else if (node.status !== 'same') {
+        counts[node.status]++;
+    }
+    return counts;
+};
+
+window.ViewStateDiff = ViewStateDiff;
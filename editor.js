@@ -6,31 +6,65 @@
 class ViewStateEditor {
     constructor() {
         this.currentData = null;
+        this.originalTree = null;
         this.stringTable = [];
+        this.typeTable = [];
+        this.tableLayout = 'original';
+        this.repeatedStrings = new Set();
+        this.crypto = new ViewStateCrypto();
+        this.compression = new ViewStateCompression();
+        this.decoder = new ViewStateDecoder();
+        this.typedJson = new TypedJson(this);
+        this.format = 'binary';
+        this.jsonMode = 'friendly';
     }
 
     /**
      * Set the decoded data for editing
+     * @param {*} data - Plain JSON projection of a decoded ViewState
+     * @param {string} [format] - 'binary' (ObjectStateFormatter) or 'text' (1.x LosFormatter)
+     * @param {object} [tree] - Decoded node tree; unchanged values are re-encoded with their original types
      */
-    setData(data) {
+    setData(data, format = 'binary', tree = null) {
         this.currentData = data;
+        this.format = format;
+        this.originalTree = tree;
     }
 
     /**
-     * Get the current data as formatted JSON
+     * Switch between the friendly JSON projection and the typed dialect (see typedjson.js)
+     * @param {string} mode - 'friendly' or 'typed'
+     */
+    setJsonMode(mode) {
+        this.jsonMode = mode;
+    }
+
+    /**
+     * Get the current data as formatted JSON in the current JSON mode
      */
     toJSON() {
         if (!this.currentData) return '';
+        if (this.jsonMode === 'typed') {
+            const tree = this.buildNode(this.currentData, this.originalTree);
+            return JSON.stringify(this.typedJson.toTyped(tree), null, 2);
+        }
         return JSON.stringify(this.currentData, null, 2);
     }
 
     /**
-     * Parse JSON and update current data
+     * Parse JSON in the current JSON mode and update current data
+     * Typed JSON replaces the original tree, so its wire types are encoded as written
      */
     fromJSON(jsonString) {
         try {
-            this.currentData = JSON.parse(jsonString);
-            return { success: true, data: this.currentData };
+            const parsed = JSON.parse(jsonString);
+            if (this.jsonMode === 'typed') {
+                this.originalTree = this.typedJson.fromTyped(parsed);
+                this.currentData = this.decoder.toPlain(this.originalTree);
+            } else {
+                this.currentData = parsed;
+            }
+            return { success: true, data: parsed };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -86,22 +120,52 @@ class ViewStateEditor {
 
     /**
      * Encode data back to ViewState format
-     * Note: This creates a simplified Base64 representation
+     * Output is merged onto the decoded tree (see buildNode), so encoding
+     * unmodified data reproduces the original serialized bytes
+     * @param {object} [profile] - machineKey options (see ViewStateCrypto.protect);
+     *                             when given, the output is signed and, if the profile
+     *                             has a decryptionKey, encrypted
+     * @param {object} [options] - { layout: 'original' keeps each string and type
+     *                             reference as it was decoded, 'compact' interns every
+     *                             repeated string and type name, compression: 'gzip',
+     *                             'deflate' or 'deflate-raw' compresses the protected
+     *                             output the way a compressing PageStatePersister does }
+     * @returns {Promise<object>} Encoding result
      */
-    encode() {
+    async encode(profile = null, options = {}) {
         if (!this.currentData) {
             return { success: false, error: 'No data to encode' };
         }
 
         try {
-            this.stringTable = [];
-            const serialized = this.serializeObject(this.currentData);
+            let combined;
+            if (this.format === 'text') {
+                const tree = this.buildNode(this.currentData, this.originalTree);
+                combined = new TextEncoder().encode(new LosTextFormatter().write(tree));
+            } else {
+                this.stringTable = [];
+                this.typeTable = [];
+                this.tableLayout = options.layout || 'original';
 
-            // Add ViewState header (LosFormatter signature)
-            const header = new Uint8Array([0xFF, 0x01]);
-            const combined = new Uint8Array(header.length + serialized.length);
-            combined.set(header);
-            combined.set(serialized, header.length);
+                const tree = this.buildNode(this.currentData, this.originalTree);
+                this.repeatedStrings = this.tableLayout === 'compact' ? this.findRepeatedStrings(tree) : new Set();
+
+                // ViewState header (ObjectStateFormatter marker and version)
+                const out = [0xFF, 0x01];
+                this.writeNode(tree, out);
+                combined = new Uint8Array(out);
+            }
+
+            let protection = 'unsigned';
+            if (profile) {
+                combined = await this.crypto.protect(combined, profile);
+                protection = profile.decryptionKey ? 'encrypted' : 'signed';
+            }
+
+            const size = combined.length;
+            if (options.compression) {
+                combined = await this.compression.compress(combined, options.compression);
+            }
 
             // Convert to Base64
             let binary = '';
@@ -113,7 +177,13 @@ class ViewStateEditor {
             return {
                 success: true,
                 encoded: base64,
-                size: combined.length
+                size,
+                compressedSize: options.compression ? combined.length : null,
+                format: this.format,
+                protection,
+                compression: options.compression || null,
+                strings: this.stringTable.length,
+                types: this.typeTable.length
             };
         } catch (error) {
             return {
@@ -124,173 +194,662 @@ class ViewStateEditor {
     }
 
     /**
-     * Serialize an object to bytes
+     * Decode an encoded ViewState and compare its JSON with the expected JSON
+     * In typed mode both sides are compared in the typed dialect
+     * @param {string} encoded - Base64 output of encode()
+     * @param {*} expected - JSON the output was encoded from, in the current JSON mode
+     * @param {object} [profile] - machineKey the output was protected with, if any
+     * @param {string} [compression] - Compression the output was encoded with, if any
+     * @returns {Promise<object>} { success, identical, differences: [{path, expected, actual}] }
      */
-    serializeObject(obj) {
-        if (obj === null || obj === undefined) {
-            return new Uint8Array([0x64]); // Null marker
+    async verifyRoundTrip(encoded, expected, profile = null, compression = null) {
+        let bytes;
+        try {
+            bytes = ViewStateDecoder.base64ToBytes(ViewStateDecoder.cleanInput(encoded));
+        } catch (error) {
+            return { success: false, error: 'Encoded output is not valid Base64' };
         }
 
-        if (typeof obj === 'boolean') {
-            return new Uint8Array([obj ? 0x66 : 0x67]);
+        if (compression) {
+            try {
+                bytes = await this.compression.decompress(bytes, compression);
+            } catch (error) {
+                return { success: false, error: 'Encoded output does not decompress: ' + error.message };
+            }
         }
 
-        if (typeof obj === 'number') {
-            if (Number.isInteger(obj) && obj >= 0 && obj <= 255) {
-                return new Uint8Array([0x03, obj]); // Byte
-            } else if (Number.isInteger(obj)) {
-                return this.serializeInt32(obj);
-            } else {
-                return this.serializeDouble(obj);
+        if (profile && profile.decryptionKey) {
+            const decrypted = await this.crypto.decrypt(bytes, profile);
+            if (!decrypted.success) {
+                return { success: false, error: decrypted.error };
             }
+            bytes = decrypted.plaintext;
         }
 
-        if (typeof obj === 'string') {
-            return this.serializeString(obj);
+        let decoded;
+        try {
+            decoded = new ViewStateDecoder().decodeBytes(bytes, { strict: true });
+        } catch (error) {
+            return { success: false, error: 'Encoded output does not decode: ' + error.message };
         }
 
-        if (Array.isArray(obj)) {
-            return this.serializeArray(obj);
+        let actual = decoded.data;
+        if (this.jsonMode === 'typed') {
+            expected = this.typedJson.toTyped(this.typedJson.fromTyped(expected));
+            actual = this.typedJson.toTyped(decoded.tree);
         }
 
-        if (typeof obj === 'object') {
-            // Check for Pair
-            if (obj.type === 'Pair') {
-                return this.serializePair(obj);
-            }
-            // Check for Triplet
-            if (obj.type === 'Triplet') {
-                return this.serializeTriplet(obj);
-            }
-            // Regular object - serialize as Hashtable
-            return this.serializeHashtable(obj);
+        // Compare through JSON so that NaN and undefined read the way the editor shows them
+        const differences = [];
+        ViewStateEditor.diffValues(expected, JSON.parse(JSON.stringify(actual)), '$', differences);
+        return {
+            success: true,
+            identical: differences.length === 0,
+            differences,
+            size: bytes.length
+        };
+    }
+
+    /**
+     * Build the typed node tree to encode from plain JSON
+     * A value whose projection is unchanged keeps its original node, and so its
+     * exact wire type; an edited value takes its type from the original node
+     * where that still fits, otherwise from the JSON value itself
+     * @param {*} value - Plain JSON value
+     * @param {object|null} [original] - Decoded node at the same position
+     * @returns {object} Typed node
+     */
+    buildNode(value, original = null) {
+        if (original && this.isUnchanged(original, value)) {
+            return original;
+        }
+
+        if (value === null || value === undefined) {
+            return this.createNode('Null', { value: null });
+        }
+
+        switch (typeof value) {
+            case 'boolean':
+                return this.createNode(value ? 'True' : 'False', { value });
+            case 'number':
+                return this.buildNumber(value, original);
+            case 'string':
+                return this.buildString(value, original);
         }
 
-        // Fallback - convert to string
-        return this.serializeString(String(obj));
+        if (Array.isArray(value)) {
+            return this.buildArray(value, original);
+        }
+        return this.buildObject(value, original);
     }
 
     /**
-     * Serialize 32-bit integer
+     * Check whether a decoded node still projects to the given JSON value
      */
-    serializeInt32(value) {
-        const result = [0x02]; // Int32 marker
-        result.push(...this.encode7BitInt(value));
-        return new Uint8Array(result);
+    isUnchanged(node, value) {
+        return JSON.stringify(this.decoder.toPlain(node)) === JSON.stringify(value);
     }
 
     /**
-     * Encode integer as 7-bit
+     * Create a node for an ObjectStateFormatter node kind
      */
-    encode7BitInt(value) {
-        const bytes = [];
-        while (value >= 128) {
-            bytes.push((value & 0x7F) | 0x80);
-            value >>>= 7;
+    createNode(kind, fields = {}) {
+        const token = ViewStateEditor.TOKENS[kind];
+        const info = ViewStateDecoder.TOKENS[token];
+        return { token, kind, type: info ? info.type : null, ...fields };
+    }
+
+    /**
+     * Number: keeps an Int16, Byte, Single or Double original when the value fits
+     */
+    buildNumber(value, original) {
+        const kind = original ? original.kind : null;
+        const integer = Number.isInteger(value);
+
+        if (kind === 'Int16' && integer && value >= -0x8000 && value <= 0x7FFF) {
+            return this.createNode('Int16', { value });
         }
-        bytes.push(value);
-        return bytes;
+        if (kind === 'Byte' && integer && value >= 0 && value <= 0xFF) {
+            return this.createNode('Byte', { value });
+        }
+        if (kind === 'Single') {
+            return this.createNode('Single', { value });
+        }
+        if (kind !== 'Double' && integer && value >= -0x80000000 && value <= 0x7FFFFFFF) {
+            return this.createNode(value === 0 ? 'ZeroInt32' : 'Int32', { value });
+        }
+        return this.createNode('Double', { value });
     }
 
     /**
-     * Serialize double
+     * String: parses Char, Unit, Color and DateTime originals back from their display form
      */
-    serializeDouble(value) {
-        const bytes = new Uint8Array(9);
-        bytes[0] = 0x07; // Double marker
-        const view = new DataView(bytes.buffer);
-        view.setFloat64(1, value, true);
-        return bytes;
+    buildString(value, original) {
+        const kind = original ? original.kind : null;
+        let node = null;
+
+        switch (kind) {
+            case 'Char':
+                if (Array.from(value).length === 1) node = this.createNode('Char', { value });
+                break;
+
+            case 'Unit':
+            case 'EmptyUnit':
+                node = this.parseUnit(value);
+                break;
+
+            case 'Color':
+            case 'KnownColor':
+            case 'EmptyColor':
+                node = this.parseColor(value);
+                break;
+
+            case 'DateTime':
+                node = this.parseDateTime(value, original);
+                break;
+
+            case 'IndexedString':
+            case 'IndexedStringAdd':
+                node = this.createNode('IndexedString', { value });
+                break;
+        }
+
+        return node || this.createNode(value === '' ? 'EmptyString' : 'String', { value });
     }
 
     /**
-     * Serialize string
+     * Parse a Unit from its display form, such as "10px" or "50%"
      */
-    serializeString(str) {
-        const encoder = new TextEncoder();
-        const strBytes = encoder.encode(str);
-        const lengthBytes = this.encode7BitInt(strBytes.length);
+    parseUnit(text) {
+        if (text === '') return this.createNode('EmptyUnit');
 
-        const result = new Uint8Array(1 + lengthBytes.length + strBytes.length);
-        result[0] = 0x05; // String marker
-        result.set(lengthBytes, 1);
-        result.set(strBytes, 1 + lengthBytes.length);
+        const match = /^(-?\d+(?:\.\d+)?(?:e[-+]?\d+)?)([a-z%]*)$/i.exec(text.trim());
+        if (!match) return null;
 
-        return result;
+        const unitType = match[2] ? ViewStateDecoder.UNIT_TYPES.indexOf(match[2].toLowerCase()) : 1;
+        if (unitType < 1) return null;
+        return this.createNode('Unit', { value: parseFloat(match[1]), unitType });
     }
 
     /**
-     * Serialize array
+     * Parse a Color from its display form: a known color name or rgba(r, g, b, a)
      */
-    serializeArray(arr) {
-        const parts = [];
-        parts.push(0x6A); // Array marker
-        parts.push(...this.encode7BitInt(arr.length));
-
-        for (const item of arr) {
-            const serialized = this.serializeObject(item);
-            for (let i = 0; i < serialized.length; i++) {
-                parts.push(serialized[i]);
-            }
+    parseColor(text) {
+        if (text === '') return this.createNode('EmptyColor');
+
+        const known = ViewStateDecoder.KNOWN_COLORS.indexOf(text);
+        const numbered = /^KnownColor\((\d+)\)$/.exec(text);
+        if (known > 0 || numbered) {
+            return this.createNode('KnownColor', { value: known > 0 ? known : parseInt(numbered[1], 10), name: text });
         }
 
-        return new Uint8Array(parts);
+        const match = /^rgba\((\d+),\s*(\d+),\s*(\d+),\s*(\d*\.?\d+)\)$/.exec(text.trim());
+        if (!match) return null;
+
+        const [r, g, b] = match.slice(1, 4).map(Number);
+        const a = Math.round(parseFloat(match[4]) * 255);
+        if ([r, g, b, a].some(channel => channel > 255)) return null;
+        return this.createNode('Color', { value: (a << 24) | (r << 16) | (g << 8) | b });
     }
 
     /**
-     * Serialize Pair
+     * Parse a DateTime from an ISO string, keeping the original DateTimeKind
      */
-    serializePair(pair) {
-        const parts = [];
-        parts.push(0x68); // Pair marker
+    parseDateTime(text, original) {
+        const time = Date.parse(text);
+        if (isNaN(time)) return null;
+
+        const kindBits = original.raw ? BigInt.asUintN(64, BigInt(original.raw)) >> 62n : 0n;
+        const ticks = BigInt(time) * 10000n + 621355968000000000n;
+        const raw = BigInt.asIntN(64, (kindBits << 62n) | ticks);
+        return this.createNode('DateTime', {
+            raw: raw.toString(),
+            dateKind: ['Unspecified', 'Utc', 'Local', 'Local'][Number(kindBits)],
+            value: new Date(time).toISOString()
+        });
+    }
 
-        const first = this.serializeObject(pair.first);
-        const second = this.serializeObject(pair.second);
+    /**
+     * Array: keeps a typed Array, StringArray or SparseArray original, otherwise an ArrayList
+     */
+    buildArray(value, original) {
+        const kind = original ? original.kind : null;
 
-        for (let i = 0; i < first.length; i++) parts.push(first[i]);
-        for (let i = 0; i < second.length; i++) parts.push(second[i]);
+        if (kind === 'StringArray' && value.every(item => typeof item === 'string')) {
+            return this.createNode('StringArray', {
+                children: value.map(item => ({ token: null, kind: 'String', type: 'System.String', value: item }))
+            });
+        }
+
+        if (kind === 'SparseArray') {
+            const originals = new Map(original.entries.map(entry => [entry.index, entry.value]));
+            const entries = [];
+            value.forEach((item, index) => {
+                if (item !== null) {
+                    entries.push({ index, value: this.buildNode(item, originals.get(index) || null) });
+                }
+            });
+            return this.createNode('SparseArray', { typeRef: original.typeRef, type: original.type, length: value.length, entries });
+        }
 
-        return new Uint8Array(parts);
+        const originals = original && original.children ? original.children : [];
+        const children = value.map((item, i) => this.buildNode(item, originals[i] || null));
+        if (kind === 'Array') {
+            return this.createNode('Array', { typeRef: original.typeRef, type: original.type, children });
+        }
+        return this.createNode('ArrayList', { children });
     }
 
     /**
-     * Serialize Triplet
+     * Object: structured values by their `type` key, anything else as a Hashtable
      */
-    serializeTriplet(triplet) {
-        const parts = [];
-        parts.push(0x69); // Triplet marker
+    buildObject(value, original) {
+        const kind = original ? original.kind : null;
+        const child = i => (kind === value.type && original.children[i]) || null;
+
+        // A decoded Hashtable with a "type" key projects to the same shape as
+        // the structured values, so its own keys decide
+        if ((kind === 'Hashtable' || kind === 'HybridDictionary') &&
+            original.entries.some(entry => String(this.decoder.toPlain(entry.key)) === 'type')) {
+            return this.buildHashtable(value, original);
+        }
+
+        switch (value.type) {
+            case 'Pair':
+                return this.createNode('Pair', {
+                    children: [this.buildNode(value.first, child(0)), this.buildNode(value.second, child(1))]
+                });
+
+            case 'Triplet':
+                return this.createNode('Triplet', {
+                    children: [
+                        this.buildNode(value.first, child(0)),
+                        this.buildNode(value.second, child(1)),
+                        this.buildNode(value.third, child(2))
+                    ]
+                });
+
+            case 'IntEnum':
+                return this.createNode('IntEnum', {
+                    typeRef: this.buildTypeRef(value.enumType, original),
+                    type: value.enumType,
+                    value: value.value
+                });
+
+            case 'TypeRef': {
+                // Bare TypeRefAdd/TypeRef tokens stay bare, new types get the Type token
+                const bare = ['TypeRefAdd', 'TypeRefAddLocal', 'TypeRef'].includes(kind);
+                return this.createNode(bare ? 'TypeRef' : 'Type', {
+                    typeRef: this.buildTypeRef(value.name, original),
+                    value: value.name
+                });
+            }
+
+            case 'EventValidationStore':
+                return this.createNode('EventValidationStore', { version: value.version, hashes: value.hashes });
 
-        const first = this.serializeObject(triplet.first);
-        const second = this.serializeObject(triplet.second);
-        const third = this.serializeObject(triplet.third);
+            case 'StringFormatted':
+                return this.createNode('StringFormatted', {
+                    typeRef: this.buildTypeRef(value.typeName, original),
+                    type: value.typeName,
+                    value: value.value
+                });
 
-        for (let i = 0; i < first.length; i++) parts.push(first[i]);
-        for (let i = 0; i < second.length; i++) parts.push(second[i]);
-        for (let i = 0; i < third.length; i++) parts.push(third[i]);
+            case 'BinarySerializedObject':
+            case 'BinaryObject':
+                throw new Error('BinaryFormatter objects cannot be edited; restore their original JSON');
 
-        return new Uint8Array(parts);
+            case 'Unknown':
+                throw new Error(`Unknown token ${value.marker} at offset ${value.position} cannot be encoded`);
+        }
+
+        return this.buildHashtable(value, original);
     }
 
     /**
-     * Serialize Hashtable/Dictionary
+     * Hashtable: original keys (with their wire types) are matched by their string form
      */
-    serializeHashtable(obj) {
-        const keys = Object.keys(obj).filter(k => k !== 'type');
-        const parts = [];
-        parts.push(0x17); // Hashtable marker
-        parts.push(...this.encode7BitInt(keys.length));
+    buildHashtable(value, original) {
+        const kind = original && (original.kind === 'Hashtable' || original.kind === 'HybridDictionary')
+            ? original.kind
+            : 'Hashtable';
+
+        const originals = new Map();
+        if (kind === (original && original.kind)) {
+            for (const entry of original.entries) {
+                originals.set(String(this.decoder.toPlain(entry.key)), entry);
+            }
+        }
 
-        for (const key of keys) {
-            const keyBytes = this.serializeString(key);
-            const valBytes = this.serializeObject(obj[key]);
+        const entries = Object.keys(value).map(key => {
+            const entry = originals.get(key);
+            return {
+                key: entry ? entry.key : this.buildString(key, null),
+                value: this.buildNode(value[key], entry ? entry.value : null)
+            };
+        });
+        return this.createNode(kind, { entries });
+    }
+
+    /**
+     * Type reference for a type name, remembering the original's add token
+     */
+    buildTypeRef(name, original) {
+        const typeRef = original && original.typeRef;
+        return { token: typeRef && typeRef.name === name ? typeRef.token : null, name };
+    }
+
+    /**
+     * Write a typed node in ObjectStateFormatter layout
+     * @param {object|null} node - Typed node (null is written as Null)
+     * @param {number[]} out - Output bytes
+     */
+    writeNode(node, out) {
+        if (!node) {
+            out.push(0x64);
+            return;
+        }
+
+        const token = ViewStateEditor.TOKENS[node.kind];
+
+        switch (node.kind) {
+            case 'Int16':
+                out.push(token, ...this.pack('setInt16', 2, node.value));
+                break;
+
+            case 'Int32':
+            case 'KnownColor':
+                out.push(token, ...this.encode7BitInt(node.value));
+                break;
+
+            case 'Byte':
+                out.push(token, node.value & 0xFF);
+                break;
+
+            case 'Char':
+                out.push(token, ...new TextEncoder().encode(node.value));
+                break;
+
+            case 'String':
+            case 'RecoveredString':
+                if (this.repeatedStrings.has(node.value)) {
+                    this.writeIndexedString(node, out);
+                } else {
+                    out.push(0x05);
+                    this.writeString(node.value, out);
+                }
+                break;
+
+            case 'DateTime':
+                if (node.raw === undefined) {
+                    throw new Error(`Truncated DateTime at offset ${node.start} cannot be encoded`);
+                }
+                out.push(token, ...this.pack('setBigInt64', 8, BigInt(node.raw)));
+                break;
+
+            case 'Double':
+                out.push(token, ...this.pack('setFloat64', 8, node.value));
+                break;
+
+            case 'Single':
+                out.push(token, ...this.pack('setFloat32', 4, node.value));
+                break;
+
+            case 'Color':
+                out.push(token, ...this.pack('setInt32', 4, node.value));
+                break;
+
+            case 'IntEnum':
+                out.push(token);
+                this.writeTypeRef(node.typeRef, out);
+                out.push(...this.encode7BitInt(node.value));
+                break;
+
+            case 'Pair':
+            case 'Triplet':
+                out.push(token);
+                node.children.forEach(child => this.writeNode(child, out));
+                break;
+
+            case 'Array':
+                // 1.x text arrays carry no element type
+                out.push(token);
+                this.writeTypeRef(node.typeRef || { token: null, name: 'System.Object' }, out);
+                out.push(...this.encode7BitInt(node.children.length));
+                node.children.forEach(child => this.writeNode(child, out));
+                break;
+
+            case 'StringArray':
+                out.push(token, ...this.encode7BitInt(node.children.length));
+                node.children.forEach(child => this.writeString(child.value, out));
+                break;
+
+            case 'ArrayList':
+                out.push(token, ...this.encode7BitInt(node.children.length));
+                node.children.forEach(child => this.writeNode(child, out));
+                break;
+
+            case 'Hashtable':
+            case 'HybridDictionary':
+                out.push(token, ...this.encode7BitInt(node.entries.length));
+                for (const entry of node.entries) {
+                    this.writeNode(entry.key, out);
+                    this.writeNode(entry.value, out);
+                }
+                break;
+
+            case 'Type':
+                out.push(token);
+                this.writeTypeRef(node.typeRef, out);
+                break;
+
+            case 'TypeRefAdd':
+            case 'TypeRefAddLocal':
+            case 'TypeRef':
+                this.writeTypeRef(node.typeRef, out);
+                break;
+
+            case 'Unit':
+                out.push(token, ...this.pack('setFloat64', 8, node.value), ...this.pack('setInt32', 4, node.unitType));
+                break;
+
+            case 'EventValidationStore':
+                out.push(token, node.version & 0xFF, ...this.encode7BitInt(node.hashes.length));
+                for (const hash of node.hashes) {
+                    out.push(...this.crypto.hexToBytes(hash));
+                }
+                break;
+
+            case 'IndexedString':
+            case 'IndexedStringAdd':
+                this.writeIndexedString(node, out);
+                break;
+
+            case 'StringFormatted':
+                out.push(token);
+                this.writeTypeRef(node.typeRef, out);
+                this.writeString(node.value, out);
+                break;
+
+            case 'BinarySerialized': {
+                if (node.raw === undefined) {
+                    throw new Error(`Truncated BinaryFormatter object at offset ${node.start} cannot be encoded`);
+                }
+                const bytes = ViewStateDecoder.base64ToBytes(node.raw);
+                out.push(token, ...this.encode7BitInt(bytes.length));
+                for (let i = 0; i < bytes.length; i++) out.push(bytes[i]);
+                break;
+            }
+
+            case 'SparseArray':
+                out.push(token);
+                this.writeTypeRef(node.typeRef, out);
+                out.push(...this.encode7BitInt(node.length), ...this.encode7BitInt(node.entries.length));
+                for (const entry of node.entries) {
+                    out.push(...this.encode7BitInt(entry.index));
+                    this.writeNode(entry.value, out);
+                }
+                break;
+
+            case 'EmptyColor':
+            case 'EmptyUnit':
+            case 'Null':
+            case 'EmptyString':
+            case 'ZeroInt32':
+            case 'True':
+            case 'False':
+                out.push(token);
+                break;
+
+            default:
+                throw new Error(`${node.kind} node at offset ${node.start} cannot be encoded`);
+        }
+    }
+
+    /**
+     * Write a length-prefixed UTF-8 string
+     */
+    writeString(str, out) {
+        const bytes = new TextEncoder().encode(str);
+        out.push(...this.encode7BitInt(bytes.length));
+        for (let i = 0; i < bytes.length; i++) out.push(bytes[i]);
+    }
+
+    /**
+     * Collect the strings that occur more than once where an indexed string can
+     * be written (StringArray items are written without a token)
+     * @returns {Set<string>} Strings worth interning
+     */
+    findRepeatedStrings(tree) {
+        const counts = new Map();
+        const visit = node => {
+            if (!node) return;
+            if (['String', 'RecoveredString', 'IndexedString', 'IndexedStringAdd'].includes(node.kind)) {
+                counts.set(node.value, (counts.get(node.value) || 0) + 1);
+            }
+            if (node.kind === 'StringArray') return;
+            ViewStateDecoder.childNodes(node).forEach(visit);
+            if (node.kind === 'SparseArray') node.entries.forEach(entry => visit(entry.value));
+        };
+        visit(tree);
+
+        return new Set(Array.from(counts).filter(([, count]) => count > 1).map(([value]) => value));
+    }
 
-            for (let i = 0; i < keyBytes.length; i++) parts.push(keyBytes[i]);
-            for (let i = 0; i < valBytes.length; i++) parts.push(valBytes[i]);
+    /**
+     * Write an IndexedString, or an IndexedStringAdd the first time a string is seen
+     * The original layout repeats decoded adds and references as they were;
+     * strings that no longer fit the byte-indexed table are written in full
+     */
+    writeIndexedString(node, out) {
+        const str = node.value;
+        let index = this.stringTable.indexOf(str);
+        if (this.tableLayout === 'original') {
+            if (node.kind === 'IndexedStringAdd') index = -1;
+            else if (this.stringTable[node.index] === str) index = node.index;
         }
 
-        return new Uint8Array(parts);
+        if (index !== -1 && index <= 0xFF) {
+            out.push(0x1F, index);
+            return;
+        }
+        if (this.tableLayout === 'compact' && this.stringTable.length > 0xFF) {
+            out.push(0x05);
+            this.writeString(str, out);
+            return;
+        }
+        this.stringTable.push(str);
+        out.push(0x1E);
+        this.writeString(str, out);
     }
+
+    /**
+     * Write a TypeRef to an already written type, or add the type to the table
+     * Types without an assembly name are System.Web types (TypeRefAddLocal).
+     * The original layout repeats decoded adds and references as they were.
+     */
+    writeTypeRef(typeRef, out) {
+        let index = this.typeTable.indexOf(typeRef.name);
+        if (this.tableLayout === 'original') {
+            if (typeRef.token === 0x29 || typeRef.token === 0x2A) index = -1;
+            else if (typeRef.token === 0x2B && this.typeTable[typeRef.index] === typeRef.name) index = typeRef.index;
+        }
+
+        if (index !== -1) {
+            out.push(0x2B, ...this.encode7BitInt(index));
+            return;
+        }
+
+        this.typeTable.push(typeRef.name);
+        const token = typeRef.token === 0x29 || typeRef.token === 0x2A
+            ? typeRef.token
+            : (typeRef.name.includes(',') ? 0x29 : 0x2A);
+        out.push(token);
+        this.writeString(typeRef.name, out);
+    }
+
+    /**
+     * Little-endian bytes of a fixed-size number
+     */
+    pack(setter, size, value) {
+        const view = new DataView(new ArrayBuffer(size));
+        view[setter](0, value, true);
+        return new Uint8Array(view.buffer);
+    }
+
+    /**
+     * Encode integer as 7-bit (negative Int32 values take five bytes)
+     */
+    encode7BitInt(value) {
+        const bytes = [];
+        value >>>= 0;
+        while (value >= 128) {
+            bytes.push((value & 0x7F) | 0x80);
+            value >>>= 7;
+        }
+        bytes.push(value);
+        return bytes;
+    }
+}
+
+/**
+ * ObjectStateFormatter token for each node kind
+ */
+ViewStateEditor.TOKENS = {};
+for (const [token, info] of Object.entries(ViewStateDecoder.TOKENS)) {
+    ViewStateEditor.TOKENS[info.kind] = Number(token);
 }
 
+/**
+ * Collect the paths at which two JSON values differ
+ * @param {*} expected - Expected value
+ * @param {*} actual - Actual value
+ * @param {string} path - Path of the values, such as $.first[2]
+ * @param {object[]} differences - Receives { path, expected, actual } entries
+ */
+ViewStateEditor.diffValues = function (expected, actual, path, differences) {
+    if (expected === actual) return;
+
+    const comparable = expected !== null && actual !== null &&
+        typeof expected === 'object' && typeof actual === 'object' &&
+        Array.isArray(expected) === Array.isArray(actual);
+    if (!comparable) {
+        differences.push({ path, expected, actual });
+        return;
+    }
+
+    if (Array.isArray(expected)) {
+        for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+            ViewStateEditor.diffValues(expected[i], actual[i], `${path}[${i}]`, differences);
+        }
+        return;
+    }
+
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const key of keys) {
+        ViewStateEditor.diffValues(expected[key], actual[key], `${path}.${key}`, differences);
+    }
+};
+
 // Export for use in other modules
 window.ViewStateEditor = ViewStateEditor;
@@ -0,0 +1,202 @@
+/**
+ * ASP.NET __EVENTVALIDATION Decoder
+ * Recognises the two layouts of the event validation field and labels its
+ * entries with the postbacks they allow:
+ * - Legacy (2.0 - 4.0, and 4.5+ with UseLegacyEventValidationCompatibility):
+ *   an ArrayList of Int32 string hashes, the first being the hash of the
+ *   page's __VIEWSTATE and the rest one per allowed (UniqueID, argument)
+ * - EventValidationStore (4.5+): 16-byte truncated SHA-256 hashes of
+ *   (target, argument) pairs
+ */
+
+class EventValidationDecoder {
+    constructor() {
+        this.decoder = new ViewStateDecoder();
+    }
+
+    /**
+     * Decode an __EVENTVALIDATION value and recognise its layout
+     * @param {string} value - Base64 __EVENTVALIDATION, possibly compressed
+     * @param {object} [options] - Passed to ViewStateDecoder.decodeAsync
+     * @returns {Promise<object>} { success, layout, protection, signature, compression, viewStateHash, entries, diagnostics }
+     *     or { success: false, error }
+     */
+    async decode(value, options = {}) {
+        const result = await this.decoder.decodeAsync(value, options);
+        if (result.protection === 'encrypted') {
+            return { success: false, error: 'Event validation is encrypted; decrypt it with the machineKey first' };
+        }
+        if (!result.success || !result.tree) {
+            return { success: false, error: result.error || 'Event validation could not be decoded' };
+        }
+
+        const store = this.findStore(result.tree);
+        if (store) {
+            return {
+                success: true,
+                layout: 'store',
+                protection: result.protection,
+                signature: result.signature,
+                compression: result.compression || null,
+                viewStateHash: null,
+                entries: store.hashes.map((hash, index) => ({ index, hash, matches: [] })),
+                diagnostics: result.diagnostics
+            };
+        }
+
+        const root = result.tree;
+        const integers = ['ArrayList', 'Array'].includes(root.kind) &&
+            root.children.every(child => child && ['Int32', 'ZeroInt32'].includes(child.kind));
+        if (!integers || root.children.length === 0) {
+            return { success: false, error: `Not an event validation layout (root is ${root.kind})` };
+        }
+
+        const [first, ...rest] = root.children.map(child => child.value || 0);
+        return {
+            success: true,
+            layout: 'legacy',
+            protection: result.protection,
+            signature: result.signature,
+            compression: result.compression || null,
+            viewStateHash: first,
+            entries: rest.map((hash, i) => ({ index: i + 1, hash, matches: [] })),
+            diagnostics: result.diagnostics
+        };
+    }
+
+    /**
+     * Find the EventValidationStore node anywhere in the tree
+     */
+    findStore(node) {
+        if (!node) return null;
+        if (node.kind === 'EventValidationStore') return node;
+        for (const child of ViewStateDecoder.childNodes(node)) {
+            const store = this.findStore(child);
+            if (store) return store;
+        }
+        return null;
+    }
+
+    /**
+     * Label the entries of a decoded result with the candidates that hash to them
+     * @param {object} result - Result of decode()
+     * @param {object[]} candidates - [{ uniqueId, argument }]
+     * @param {string} [viewState] - The page's __VIEWSTATE, checked against the legacy view-state hash
+     * @returns {Promise<object>} The result with entries[].matches filled in, plus viewStateMatches and unmatched
+     */
+    async label(result, candidates, viewState = null) {
+        const hashes = new Map();
+        for (const candidate of candidates) {
+            const hash = result.layout === 'store'
+                ? await EventValidationDecoder.storeHash(candidate.uniqueId, candidate.argument)
+                : EventValidationDecoder.hashKey(candidate.uniqueId, candidate.argument);
+            if (hash === null) continue;
+            if (!hashes.has(hash)) hashes.set(hash, []);
+            hashes.get(hash).push(candidate);
+        }
+
+        const matched = new Set();
+        for (const entry of result.entries) {
+            entry.matches = hashes.get(entry.hash) || [];
+            entry.matches.forEach(candidate => matched.add(candidate));
+        }
+
+        result.viewStateMatches = result.layout === 'legacy' && viewState !== null
+            ? EventValidationDecoder.stringHash(viewState) === result.viewStateHash
+            : null;
+        result.unmatched = candidates.filter(candidate => !matched.has(candidate));
+        return result;
+    }
+
+    /**
+     * Parse candidate postbacks, one "UniqueID" or "UniqueID=argument" per line
+     * UniqueIDs never contain '=', so everything after the first one is the argument.
+     */
+    parseCandidates(text) {
+        const candidates = [];
+        for (const line of text.split(/\r?\n/)) {
+            if (!line.trim()) continue;
+            const eq = line.indexOf('=');
+            candidates.push(eq === -1
+                ? { uniqueId: line.trim(), argument: '' }
+                : { uniqueId: line.substring(0, eq).trim(), argument: line.substring(eq + 1) });
+        }
+        return candidates;
+    }
+
+    /**
+     * Candidates from the fields of a pasted form or page: every field with an
+     * empty argument and with its value, plus the posted __EVENTTARGET/__EVENTARGUMENT
+     * @param {Array} pairs - Ordered [name, value] pairs from ViewStateExtractor
+     */
+    candidatesFromPairs(pairs) {
+        const values = new Map(pairs);
+        const candidates = new Map();
+        const add = (uniqueId, argument) => {
+            if (uniqueId) candidates.set(`${uniqueId}=${argument}`, { uniqueId, argument });
+        };
+
+        for (const [name, value] of pairs) {
+            if (name.startsWith('__')) continue;
+            add(name, '');
+            add(name, value);
+        }
+        add(values.get('__EVENTTARGET'), values.get('__EVENTARGUMENT') || '');
+        return Array.from(candidates.values());
+    }
+}
+
+/**
+ * System.Web.Util.StringUtil.GetStringHashCode: the framework-independent
+ * string hash used by legacy event validation
+ * Characters are consumed two at a time as little-endian Int32s, with the
+ * string's null terminator padding odd lengths.
+ * @param {string} text
+ * @returns {number} Signed 32-bit hash
+ */
+EventValidationDecoder.stringHash = function (text) {
+    let hash1 = (5381 << 16) + 5381;
+    let hash2 = hash1;
+    const pair = i => (text.charCodeAt(i) || 0) | ((text.charCodeAt(i + 1) || 0) << 16);
+
+    for (let i = 0, len = text.length; len > 0; i += 4, len -= 4) {
+        hash1 = (((hash1 << 5) + hash1) + (hash1 >> 27)) ^ pair(i);
+        if (len <= 2) break;
+        hash2 = (((hash2 << 5) + hash2) + (hash2 >> 27)) ^ pair(i + 2);
+    }
+    return (hash1 + Math.imul(hash2, 1566083941)) | 0;
+};
+
+/**
+ * ClientScriptManager.ComputeHashKey for a legacy event validation entry
+ */
+EventValidationDecoder.hashKey = function (uniqueId, argument) {
+    const hash = EventValidationDecoder.stringHash(uniqueId);
+    return argument ? (hash ^ EventValidationDecoder.stringHash(argument)) : hash;
+};
+
+/**
+ * EventValidationStore hash: SHA-256 over the BinaryWriter strings (7-bit
+ * length-prefixed UTF-8) of target and argument, truncated to 16 bytes
+ * @returns {Promise<string|null>} Hex hash, or null when both are empty (never stored)
+ */
+EventValidationDecoder.storeHash = async function (target, argument) {
+    if (!target && !argument) return null;
+
+    const bytes = [];
+    for (const text of [target || '', argument || '']) {
+        const utf8 = new TextEncoder().encode(text);
+        let length = utf8.length;
+        while (length >= 0x80) {
+            bytes.push((length & 0x7F) | 0x80);
+            length >>>= 7;
+        }
+        bytes.push(length);
+        bytes.push(...utf8);
+    }
+
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new Uint8Array(bytes)));
+    return Array.from(digest.subarray(0, 16), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+window.EventValidationDecoder = EventValidationDecoder;
@@ -0,0 +1,354 @@
+/**
+ * ViewState Field Extractor
+ * Finds __VIEWSTATE and its companion hidden fields in pasted HTML pages, raw
+ * HTTP requests and responses, form-urlencoded POST bodies and ASP.NET AJAX
+ * partial-postback responses
+ */
+
+class ViewStateExtractor {
+    /**
+     * Extract the ViewState fields from pasted input
+     * Input that is none of the above is taken as a bare ViewState string.
+     * @param {string} text - Pasted input
+     * @returns {object} { success, source, http, pairs, fields, viewState, viewStateField, warnings }
+     */
+    extract(text) {
+        const input = text.replace(/^\uFEFF/, '').trim();
+        const http = this.parseHttp(input);
+        let content = http ? http.body : input;
+
+        // A GET request carries the fields in its query string
+        if (http && http.kind === 'request' && !this.isFormBody(content) && http.target.includes('?')) {
+            content = http.target.substring(http.target.indexOf('?') + 1);
+        }
+
+        let source;
+        let pairs;
+        if (this.isFormBody(content)) {
+            source = 'form';
+            pairs = this.parseFormBody(content);
+        } else if (/^\d+\|[^|]*\|/.test(content)) {
+            source = 'ajax';
+            pairs = this.parseDelta(content);
+        } else if (/<input\b/i.test(content)) {
+            source = 'html';
+            pairs = this.parseHtml(content);
+        } else {
+            source = http ? 'http' : 'raw';
+            pairs = content ? [['__VIEWSTATE', content]] : [];
+        }
+
+        const warnings = [];
+        const fields = this.collectFields(pairs, warnings);
+
+        // Compressing persisters may leave __VIEWSTATE empty and use __CVIEWSTATE
+        const compressed = fields.find(field => field.name === '__CVIEWSTATE' && field.value);
+        const viewState = fields.find(field => field.name === '__VIEWSTATE' && (field.value || !compressed)) || compressed;
+
+        return {
+            success: Boolean(viewState),
+            source,
+            http,
+            pairs,
+            fields,
+            viewState: viewState ? viewState.value : null,
+            viewStateField: viewState ? viewState.name : null,
+            warnings
+        };
+    }
+
+    /**
+     * Split a raw HTTP request or response into start line, headers and body
+     * @returns {object|null} { kind, method, target, status, startLine, headers, body, lineEnding }
+     */
+    parseHttp(text) {
+        const match = /^(?:([A-Z]+) (\S+) HTTP\/[\d.]+|HTTP\/[\d.]+ (\d{3})[^\r\n]*)\r?\n/.exec(text);
+        if (!match) return null;
+
+        const separator = /\r?\n\r?\n/.exec(text);
+        const head = separator ? text.substring(0, separator.index) : text;
+        const lines = head.split(/\r?\n/);
+
+        const headers = lines.slice(1).filter(line => line.includes(':')).map(line => {
+            const colon = line.indexOf(':');
+            return [line.substring(0, colon).trim(), line.substring(colon + 1).trim()];
+        });
+
+        return {
+            kind: match[1] ? 'request' : 'response',
+            method: match[1] || null,
+            target: match[2] || null,
+            status: match[3] ? parseInt(match[3], 10) : null,
+            startLine: lines[0],
+            headers,
+            body: separator ? text.substring(separator.index + separator[0].length) : '',
+            lineEnding: text.includes('\r\n') ? '\r\n' : '\n'
+        };
+    }
+
+    /**
+     * Check for an application/x-www-form-urlencoded body with ViewState fields
+     */
+    isFormBody(text) {
+        return !/[<\s]/.test(text.trim()) && /(^|&)(__VIEWSTATE(FIELDCOUNT|\d*)|__CVIEWSTATE)=/.test(text.trim());
+    }
+
+    /**
+     * Parse a form-urlencoded body into ordered [name, value] pairs
+     */
+    parseFormBody(text) {
+        const decode = part => {
+            try {
+                return decodeURIComponent(part.replace(/\+/g, ' '));
+            } catch {
+                return part;
+            }
+        };
+
+        return text.trim().split('&').filter(Boolean).map(pair => {
+            const eq = pair.indexOf('=');
+            return eq === -1
+                ? [decode(pair), '']
+                : [decode(pair.substring(0, eq)), decode(pair.substring(eq + 1))];
+        });
+    }
+
+    /**
+     * Collect name/value pairs from the <input> elements of an HTML page
+     */
+    parseHtml(html) {
+        const pairs = [];
+        const inputs = html.match(/<input\b[^>]*>/gi) || [];
+
+        for (const tag of inputs) {
+            const attributes = {};
+            const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+            let match;
+            while ((match = pattern.exec(tag)) !== null) {
+                const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+                attributes[match[1].toLowerCase()] = ViewStateExtractor.decodeEntities(value);
+            }
+
+            const name = attributes.name || attributes.id;
+            if (name) pairs.push([name, attributes.value || '']);
+        }
+        return pairs;
+    }
+
+    /**
+     * Collect hiddenField entries from an UpdatePanel delta ("length|type|id|content|")
+     */
+    parseDelta(text) {
+        const pairs = [];
+        let position = 0;
+
+        while (position < text.length) {
+            const lengthEnd = text.indexOf('|', position);
+            const typeEnd = text.indexOf('|', lengthEnd + 1);
+            const idEnd = text.indexOf('|', typeEnd + 1);
+            const length = parseInt(text.substring(position, lengthEnd), 10);
+            if (lengthEnd === -1 || typeEnd === -1 || idEnd === -1 || isNaN(length)) break;
+
+            const content = text.substr(idEnd + 1, length);
+            if (text.substring(position, typeEnd).endsWith('|hiddenField')) {
+                pairs.push([text.substring(typeEnd + 1, idEnd), content]);
+            }
+            position = idEnd + 1 + length + 1;
+        }
+        return pairs;
+    }
+
+    /**
+     * Pick the known ViewState fields out of the pairs, joining
+     * __VIEWSTATE, __VIEWSTATE1 ... chunks when __VIEWSTATEFIELDCOUNT is set
+     * @returns {object[]} [{ name, value, chunks? }] in ViewStateExtractor.FIELDS order
+     */
+    collectFields(pairs, warnings) {
+        const values = new Map();
+        for (const [name, value] of pairs) {
+            if (!values.has(name)) values.set(name, value);
+        }
+
+        const fields = [];
+        for (const name of ViewStateExtractor.FIELDS) {
+            if (name === '__VIEWSTATE') {
+                const viewState = this.joinChunks(values, warnings);
+                if (viewState) fields.push(viewState);
+            } else if (values.has(name)) {
+                fields.push({ name, value: values.get(name) });
+            }
+        }
+        return fields;
+    }
+
+    /**
+     * Join chunked ViewState fields (ASP.NET maxPageStateFieldLength)
+     */
+    joinChunks(values, warnings) {
+        const count = parseInt(values.get('__VIEWSTATEFIELDCOUNT'), 10);
+        const first = values.has('__VIEWSTATE') ? values.get('__VIEWSTATE') : values.get('__VIEWSTATE0');
+
+        if (!(count > 1)) {
+            return first === undefined ? null : { name: '__VIEWSTATE', value: first };
+        }
+
+        const chunks = [first || ''];
+        for (let i = 1; i < count; i++) {
+            if (!values.has(`__VIEWSTATE${i}`)) {
+                warnings.push(`__VIEWSTATEFIELDCOUNT is ${count} but __VIEWSTATE${i} is missing`);
+            }
+            chunks.push(values.get(`__VIEWSTATE${i}`) || '');
+        }
+        return { name: '__VIEWSTATE', value: chunks.join(''), chunks };
+    }
+
+    /**
+     * Rebuild a pasted form body or HTTP request with a new ViewState
+     * Chunked ViewState is re-chunked at the original chunk size, and the
+     * Content-Length header is updated to the new body.
+     * @param {string} text - The originally pasted body or request
+     * @param {string} viewState - New Base64 ViewState
+     * @returns {object} { success, request, body, curl } or { success: false, error }
+     */
+    rebuild(text, viewState) {
+        const extraction = this.extract(text);
+        const http = extraction.http;
+        if (!extraction.success || extraction.source !== 'form' || (http && http.kind !== 'request')) {
+            return { success: false, error: 'Rebuilding needs a form-urlencoded body or a raw HTTP request with ViewState fields' };
+        }
+
+        const field = extraction.fields.find(f => f.name === extraction.viewStateField);
+        const chunks = this.splitChunks(viewState, field.chunks ? field.chunks[0].length : 0);
+
+        // A GET request carries the fields in its query string
+        const inQuery = http && !this.isFormBody(http.body);
+        const original = !http ? text.replace(/^\uFEFF/, '').trim() : inQuery
+            ? http.target.substring(http.target.indexOf('?') + 1)
+            : http.body;
+        const body = this.replaceFields(original, chunks, field.name);
+
+        if (!http) {
+            return { success: true, request: body, body, curl: this.toCurl(null, body), chunks: chunks.length };
+        }
+
+        const target = inQuery ? http.target.substring(0, http.target.indexOf('?') + 1) + body : http.target;
+        const startLine = inQuery ? http.startLine.replace(http.target, target) : http.startLine;
+        const headers = http.headers.map(([name, value]) =>
+            [name, !inQuery && name.toLowerCase() === 'content-length' ? String(new TextEncoder().encode(body).length) : value]);
+
+        const request = [startLine, ...headers.map(([name, value]) => `${name}: ${value}`)].join(http.lineEnding) +
+            http.lineEnding + http.lineEnding + (inQuery ? http.body : body);
+        const rebuilt = { ...http, target, headers, body: inQuery ? http.body : body };
+
+        return { success: true, request, body: rebuilt.body, curl: this.toCurl(rebuilt, rebuilt.body), chunks: chunks.length };
+    }
+
+    /**
+     * Split a ViewState into fields of at most size characters (0 keeps one field)
+     */
+    splitChunks(viewState, size) {
+        if (!size || viewState.length <= size) return [viewState];
+
+        const chunks = [];
+        for (let i = 0; i < viewState.length; i += size) {
+            chunks.push(viewState.substring(i, i + size));
+        }
+        return chunks;
+    }
+
+    /**
+     * Replace the __VIEWSTATE fields (or the single __CVIEWSTATE field) of a
+     * form-urlencoded string, keeping every other field exactly as it was encoded
+     */
+    replaceFields(form, chunks, fieldName = '__VIEWSTATE') {
+        const output = [];
+        for (const pair of form.trim().split('&').filter(Boolean)) {
+            const name = this.parseFormBody(pair)[0][0];
+
+            if (fieldName !== '__VIEWSTATE') {
+                output.push(name === fieldName ? `${name}=${encodeURIComponent(chunks.join(''))}` : pair);
+            } else if (name === '__VIEWSTATEFIELDCOUNT') {
+                output.push(`${name}=${chunks.length}`);
+            } else if (name === '__VIEWSTATE' || name === '__VIEWSTATE0') {
+                chunks.forEach((chunk, i) => {
+                    output.push(`${i === 0 ? name : `__VIEWSTATE${i}`}=${encodeURIComponent(chunk)}`);
+                });
+            } else if (!/^__VIEWSTATE\d+$/.test(name)) {
+                output.push(pair);
+            }
+        }
+
+        // Chunks beyond the original field count need a count field
+        if (chunks.length > 1 && !output.some(pair => pair.startsWith('__VIEWSTATEFIELDCOUNT='))) {
+            const first = output.findIndex(pair => pair.startsWith('__VIEWSTATE'));
+            output.splice(first, 0, `__VIEWSTATEFIELDCOUNT=${chunks.length}`);
+        }
+        return output.join('&');
+    }
+
+    /**
+     * Equivalent curl command; without a request the URL is left in $URL
+     */
+    toCurl(http, body) {
+        const quote = text => `'${text.replace(/'/g, "'\\''")}'`;
+        const parts = ['curl'];
+
+        if (http) {
+            const host = http.headers.find(([name]) => name.toLowerCase() === 'host');
+            const url = /^https?:\/\//i.test(http.target)
+                ? http.target
+                : `https://${host ? host[1] : 'localhost'}${http.target}`;
+            parts.push(quote(url));
+            if (http.method !== 'GET' && http.method !== 'POST') parts.push('-X', http.method);
+
+            for (const [name, value] of http.headers) {
+                if (!ViewStateExtractor.CURL_SKIPPED_HEADERS.includes(name.toLowerCase())) {
+                    parts.push('-H', quote(`${name}: ${value}`));
+                }
+            }
+        } else {
+            parts.push('"$URL"', '-H', quote('Content-Type: application/x-www-form-urlencoded'));
+        }
+
+        if (body && (!http || http.method !== 'GET')) {
+            parts.push('--data-raw', quote(body));
+        }
+        return parts.join(' ');
+    }
+}
+
+/**
+ * Headers curl computes itself
+ */
+ViewStateExtractor.CURL_SKIPPED_HEADERS = ['host', 'content-length', 'connection', 'accept-encoding'];
+
+/**
+ * Hidden fields written by ASP.NET WebForms, in display order
+ */
+ViewStateExtractor.FIELDS = [
+    '__VIEWSTATE',
+    '__CVIEWSTATE',
+    '__VIEWSTATEGENERATOR',
+    '__VIEWSTATEENCRYPTED',
+    '__EVENTVALIDATION',
+    '__EVENTTARGET',
+    '__EVENTARGUMENT',
+    '__PREVIOUSPAGE'
+];
+
+/**
+ * Decode the HTML character references found in attribute values
+ */
+ViewStateExtractor.decodeEntities = function (text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10);
+            return value <= 0x10FFFF ? String.fromCodePoint(value) : entity;
+        }
+        return named[code.toLowerCase()] !== undefined ? named[code.toLowerCase()] : entity;
+    });
+};
+
+// Export for use in other modules
+window.ViewStateExtractor = ViewStateExtractor;
@@ -0,0 +1,121 @@
+/**
+ * Page Control Hierarchy
+ * Builds the tree of named controls that ViewState child indices are mapped to.
+ * An indented list (such as the trace.axd "Control Tree", literals included)
+ * gives each control's exact position in its parent's Controls collection; a
+ * flat list of UniqueIDs or pasted HTML only gives naming containers and
+ * document order, so positions taken from it are approximate.
+ */
+
+class ControlHierarchy {
+    /**
+     * Parse a pasted hierarchy
+     * @param {string} text - Indented control list, UniqueIDs one per line, or HTML
+     * @returns {object} Root { name, uniqueId, children, indexed }, indexed when
+     *     children sit at their Controls collection index
+     */
+    parse(text) {
+        const input = text.replace(/\u00A0/g, ' ').replace(/^\uFEFF/, '');
+
+        if (/<[a-z][^>]*\b(id|name)\s*=/i.test(input)) {
+            return this.fromUniqueIds(this.idsFromHtml(input));
+        }
+
+        const lines = input.split(/\r?\n/)
+            .filter(line => line.trim() && !/^\s*Control UniqueID\b/i.test(line));
+        if (lines.some(line => /^\s+\S/.test(line))) {
+            return this.fromIndented(lines);
+        }
+        return this.fromUniqueIds(lines.map(line => line.trim().split(/\s+/)[0]));
+    }
+
+    /**
+     * Indentation is nesting in Controls collections; the first token of each
+     * line is the control's UniqueID
+     */
+    fromIndented(lines) {
+        const root = this.createNode('__Page', '');
+        root.indexed = true;
+        const stack = [{ indent: -1, node: root }];
+
+        for (const line of lines) {
+            const indent = line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+            const uniqueId = line.trim().split(/\s+/)[0];
+
+            // A leading __Page line is the root itself
+            if (uniqueId === '__Page' && stack.length === 1 && root.children.length === 0) {
+                stack.push({ indent, node: root });
+                continue;
+            }
+
+            while (stack.length > 1 && stack[stack.length - 1].indent >= indent) stack.pop();
+            const node = this.createNode(uniqueId.split('$').pop(), uniqueId);
+            stack[stack.length - 1].node.children.push(node);
+            stack.push({ indent, node });
+        }
+        return root;
+    }
+
+    /**
+     * Nest UniqueIDs by naming container ('$'), keeping first-seen order
+     */
+    fromUniqueIds(ids) {
+        const root = this.createNode('__Page', '');
+        root.indexed = false;
+        const nodes = new Map([['', root]]);
+
+        for (const uniqueId of ids) {
+            if (!uniqueId || uniqueId.startsWith('__')) continue;
+
+            let parent = root;
+            const segments = uniqueId.split('$');
+            segments.forEach((segment, i) => {
+                const id = segments.slice(0, i + 1).join('$');
+                if (!nodes.has(id)) {
+                    const node = this.createNode(segment, id);
+                    parent.children.push(node);
+                    nodes.set(id, node);
+                }
+                parent = nodes.get(id);
+            });
+        }
+        return root;
+    }
+
+    /**
+     * UniqueIDs of the elements of a pasted page, in document order
+     * name attributes are UniqueIDs; an id (a ClientID) is turned back into one
+     * by matching the longest naming container seen in the names.
+     */
+    idsFromHtml(html) {
+        const tags = [];
+        for (const match of html.matchAll(/<[a-z][a-z0-9]*\b([^>]*)>/gi)) {
+            const name = /(?:^|\s)name\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(match[1]);
+            const id = /(?:^|\s)id\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(match[1]);
+            tags.push({
+                name: name ? ViewStateExtractor.decodeEntities(name[1] ?? name[2] ?? name[3]) : null,
+                id: id ? ViewStateExtractor.decodeEntities(id[1] ?? id[2] ?? id[3]) : null
+            });
+        }
+
+        const containers = new Set();
+        for (const tag of tags) {
+            const segments = (tag.name || '').split('$');
+            for (let i = 1; i < segments.length; i++) containers.add(segments.slice(0, i).join('$'));
+        }
+        const byClientId = Array.from(containers).sort((a, b) => b.length - a.length);
+
+        return tags.map(tag => {
+            if (tag.name) return tag.name;
+            if (!tag.id) return null;
+            const container = byClientId.find(c => tag.id.startsWith(c.replace(/\$/g, '_') + '_'));
+            return container ? `${container}$${tag.id.substring(container.length + 1)}` : tag.id;
+        });
+    }
+
+    createNode(name, uniqueId) {
+        return { name, uniqueId, children: [] };
+    }
+}
+
+window.ControlHierarchy = ControlHierarchy;
@@ -0,0 +1,16 @@
+/**
+ * Web Worker for MachineKeyCheck
+ * Receives a job, posts { type: 'progress', progress } while it runs and
+ * { type: 'done', result } at the end; the page cancels by terminating it.
+ */
+
+// The shared scripts register themselves on window
+self.window = self;
+importScripts('crypto.js', 'keycheck.js');
+
+self.onmessage = async event => {
+    const result = await new MachineKeyCheck().run(event.data, progress => {
+        self.postMessage({ type: 'progress', progress });
+    });
+    self.postMessage({ type: 'done', result });
+};
@@ -0,0 +1,153 @@
+/**
+ * Offline machineKey Check
+ * Tries a list of candidate validation keys against the MAC of a signed
+ * ViewState and reports the key, algorithm and scheme that reproduce it.
+ * The check runs in a Web Worker (keycheck-worker.js) so long lists do not
+ * block the page; where workers cannot be started, such as pages opened from
+ * file://, it runs on the page in short slices instead.
+ */
+
+class MachineKeyCheck {
+    constructor() {
+        this.crypto = new ViewStateCrypto();
+        this.worker = null;
+        this.cancelled = false;
+    }
+
+    /**
+     * Check every candidate
+     * @param {object} job - { bytes, signatureLength, keys, schemes, generator,
+     *     viewStateUserKey, appPath, pagePath }, keys from MachineKeyList.parse()
+     * @param {Function} [onProgress] - Called with { tried, total }
+     * @returns {Promise<object>} { match, tried, total, cancelled } with match
+     *     { validationKey, validation, scheme, line } or null
+     */
+    start(job, onProgress = () => {}) {
+        this.cancelled = false;
+        this.progress = { tried: 0, total: this.candidates(job).length };
+
+        try {
+            this.worker = new Worker(MachineKeyCheck.WORKER_URL);
+        } catch (error) {
+            this.worker = null;
+        }
+        if (!this.worker) return this.runOnPage(job, onProgress);
+
+        return new Promise(resolve => {
+            this.finish = resolve;
+            this.worker.onmessage = event => {
+                if (event.data.type === 'progress') {
+                    this.progress = event.data.progress;
+                    onProgress(this.progress);
+                } else {
+                    this.stopWorker();
+                    resolve(event.data.result);
+                }
+            };
+
+            // A worker that fails to load falls back to the page
+            this.worker.onerror = event => {
+                event.preventDefault();
+                this.stopWorker();
+                resolve(this.runOnPage(job, onProgress));
+            };
+            this.worker.postMessage(job);
+        });
+    }
+
+    /**
+     * Stop a running check; start() resolves with cancelled set
+     */
+    cancel() {
+        this.cancelled = true;
+        if (this.worker) {
+            this.stopWorker();
+            this.finish({ match: null, ...this.progress, cancelled: true });
+        }
+    }
+
+    stopWorker() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+    }
+
+    runOnPage(job, onProgress) {
+        return this.run(job, onProgress, () => this.cancelled);
+    }
+
+    /**
+     * The check itself, shared by the worker and the page
+     * @param {Function} isCancelled - Polled between slices
+     */
+    async run(job, onProgress, isCancelled = () => false) {
+        const candidates = this.candidates(job);
+        const total = candidates.length;
+        let sliceStart = Date.now();
+
+        for (let i = 0; i < total; i++) {
+            if (Date.now() - sliceStart >= MachineKeyCheck.SLICE_MS) {
+                onProgress({ tried: i, total });
+                await new Promise(resolve => setTimeout(resolve, 0));
+                sliceStart = Date.now();
+            }
+            if (isCancelled()) return { match: null, tried: i, total, cancelled: true };
+
+            const { key, validation, scheme } = candidates[i];
+            const result = await this.crypto.verifyMac(job.bytes, {
+                validationKey: key.validationKey,
+                validation,
+                scheme,
+                generator: job.generator,
+                viewStateUserKey: job.viewStateUserKey,
+                appPath: job.appPath,
+                pagePath: job.pagePath
+            });
+            if (result.success && result.valid) {
+                return { match: { validationKey: key.validationKey, validation, scheme, line: key.line }, tried: i + 1, total, cancelled: false };
+            }
+        }
+
+        onProgress({ tried: total, total });
+        return { match: null, tried: total, total, cancelled: false };
+    }
+
+    /**
+     * Every (key, algorithm, scheme) to try: a key without an algorithm is tried
+     * with each algorithm whose MAC has the signature's length
+     */
+    candidates(job) {
+        const algorithms = MachineKeyCheck.ALGORITHMS
+            .filter(name => ViewStateCrypto.VALIDATION_ALGORITHMS[name].length === job.signatureLength);
+
+        const candidates = [];
+        for (const key of job.keys) {
+            const keyAlgorithms = key.validation
+                ? [key.validation].filter(name => ViewStateCrypto.VALIDATION_ALGORITHMS[name].length === job.signatureLength)
+                : algorithms;
+            for (const validation of keyAlgorithms) {
+                for (const scheme of job.schemes) {
+                    candidates.push({ key, validation, scheme });
+                }
+            }
+        }
+        return candidates;
+    }
+}
+
+/**
+ * Script run by the worker
+ */
+MachineKeyCheck.WORKER_URL = 'keycheck-worker.js';
+
+/**
+ * Distinct MACs to try for keys listed without an algorithm; 3DES and AES
+ * validation sign with HMACSHA1 and so are covered by SHA1
+ */
+MachineKeyCheck.ALGORITHMS = ['SHA1', 'HMACSHA256', 'HMACSHA384', 'HMACSHA512', 'MD5'];
+
+/**
+ * How long the check runs between progress reports (and, on the page, between yields)
+ */
+MachineKeyCheck.SLICE_MS = 100;
+
+window.MachineKeyCheck = MachineKeyCheck;
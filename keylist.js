@@ -0,0 +1,119 @@
+/**
+ * machineKey Candidate List
+ * Reads validation keys to check a ViewState MAC against from a local key
+ * list or pasted web.config snippets. Lists may give one key per line or
+ * comma-separated "validationKey,decryptionKey,validation,decryption" rows,
+ * with '#' comment lines.
+ */
+
+class MachineKeyList {
+    /**
+     * Parse a key list
+     * @param {string} text - Key list lines and/or <machineKey> elements
+     * @returns {object} { keys: [{ validationKey, validation, decryptionKey, decryption, line }], skipped }
+     *     where validation is null when the list does not say
+     */
+    parse(text) {
+        const input = text.replace(/^\uFEFF/, '');
+        const candidates = [];
+
+        // <machineKey> elements may span lines
+        let line = 1;
+        let counted = 0;
+        for (const match of input.matchAll(/<machineKey\b([^>]*)>/gi)) {
+            line += input.substring(counted, match.index).split('\n').length - 1;
+            counted = match.index;
+            candidates.push(this.fromAttributes(match[1], line));
+        }
+
+        // Every other line that is not markup or a comment is a list row
+        const rows = input.replace(/<machineKey\b[^>]*>/gi, element => element.replace(/[^\n]/g, ' '));
+        rows.split(/\r?\n/).forEach((row, i) => {
+            const trimmed = row.trim();
+            if (!trimmed || /^(#|\/\/|<)/.test(trimmed)) return;
+            candidates.push(this.fromRow(trimmed, i + 1));
+        });
+
+        const keys = [];
+        let skipped = 0;
+        candidates.sort((a, b) => a.line - b.line);
+        for (const candidate of candidates) {
+            if (!this.add(keys, candidate)) skipped++;
+        }
+
+        // Identical candidates only need one try
+        const seen = new Set();
+        const unique = keys.filter(key => {
+            const id = `${key.validationKey}|${key.validation}`;
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        });
+        return { keys: unique, skipped };
+    }
+
+    /**
+     * validationKey, validation, decryptionKey and decryption attributes of a <machineKey> element
+     */
+    fromAttributes(attributes, line) {
+        const attribute = name => {
+            const match = new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i').exec(attributes);
+            return match ? match[1].trim() : null;
+        };
+
+        return {
+            validationKey: attribute('validationKey'),
+            validation: this.validationName(attribute('validation')),
+            decryptionKey: attribute('decryptionKey'),
+            decryption: attribute('decryption'),
+            line
+        };
+    }
+
+    /**
+     * A list row: the first hex token is the validationKey, a second one the
+     * decryptionKey; the first algorithm name is the validation algorithm and
+     * a second one the decryption algorithm
+     */
+    fromRow(row, line) {
+        const hex = [];
+        const algorithms = [];
+        for (const token of row.split(/[\s,;|]+/).filter(Boolean)) {
+            if (/^(0x)?[0-9a-f]+$/i.test(token) && token.length >= 16) {
+                hex.push(token.replace(/^0x/i, ''));
+            } else if (this.validationName(token) || /^(AES|3DES|DES|Auto)$/i.test(token)) {
+                algorithms.push(token);
+            }
+        }
+
+        return {
+            validationKey: hex[0] || null,
+            validation: this.validationName(algorithms[0]),
+            decryptionKey: hex[1] || null,
+            decryption: algorithms[1] || null,
+            line
+        };
+    }
+
+    /**
+     * Normalize a validation attribute value; Auto and unknown names give null
+     */
+    validationName(name) {
+        const upper = String(name || '').toUpperCase();
+        return upper in ViewStateCrypto.VALIDATION_ALGORITHMS ? upper : null;
+    }
+
+    /**
+     * Keep a candidate whose validationKey is hex (not AutoGenerate)
+     * @returns {boolean} Whether it was kept
+     */
+    add(keys, key) {
+        if (!key.validationKey || !/^[0-9a-f]+$/i.test(key.validationKey) || key.validationKey.length % 2 !== 0) {
+            return false;
+        }
+        keys.push(key);
+        return true;
+    }
+}
+
+window.MachineKeyList = MachineKeyList;
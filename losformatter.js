@@ -0,0 +1,272 @@
+/**
+ * ASP.NET 1.x LosFormatter Text Format
+ * Parses the angle-bracket grammar (t<...;...;...>, p<...;...>, l<...;>, i<1>, o<t> ...)
+ * into the same node tree as the binary ObjectStateFormatter path, and
+ * writes such a tree back to it
+ */
+
+class LosTextFormatter {
+    /**
+     * @param {ViewStateDecoder} [decoder] - Decoder whose bytes, position and stats are used for parsing
+     */
+    constructor(decoder = null) {
+        this.decoder = decoder;
+    }
+
+    /**
+     * Parse the root value at the decoder's position
+     * The decoder's position is left after the root, so trailing MAC bytes can be detected
+     * @returns {object} Root node
+     */
+    parse() {
+        const node = this.parseValue();
+        const next = this.peek();
+        if (next === LosTextFormatter.SEPARATOR || next === LosTextFormatter.CLOSE) {
+            throw new Error(`Unexpected '${String.fromCharCode(next)}' at ${this.decoder.position}`);
+        }
+        return node;
+    }
+
+    /**
+     * Parse one value: a token with angle-bracketed arguments, a string, or nothing (null)
+     */
+    parseValue() {
+        const decoder = this.decoder;
+        const start = decoder.position;
+        const next = this.peek();
+
+        if (next === null || next === LosTextFormatter.SEPARATOR || next === LosTextFormatter.CLOSE) {
+            return { token: null, kind: 'Null', type: null, start, end: start, value: null };
+        }
+
+        const token = String.fromCharCode(next);
+        if (decoder.data[start + 1] !== LosTextFormatter.OPEN || !/^[A-Za-z@]$/.test(token)) {
+            decoder.stats.strings++;
+            const value = this.readText();
+            return { token: null, kind: 'String', type: 'System.String', start, end: decoder.position, value };
+        }
+
+        decoder.position += 2;
+        const info = LosTextFormatter.TOKENS[token] || { kind: 'Unknown', type: null };
+        const node = { token, kind: info.kind, type: info.type, start, end: start };
+
+        switch (token) {
+            case 'p':
+                decoder.stats.pairs++;
+                node.children = [this.parseValue()];
+                this.expect(LosTextFormatter.SEPARATOR);
+                node.children.push(this.parseValue());
+                break;
+
+            case 't':
+                decoder.stats.triplets++;
+                node.children = [this.parseValue()];
+                this.expect(LosTextFormatter.SEPARATOR);
+                node.children.push(this.parseValue());
+                this.expect(LosTextFormatter.SEPARATOR);
+                node.children.push(this.parseValue());
+                break;
+
+            case 'l':
+            case '@':
+                decoder.stats.arrays++;
+                node.children = this.parseList();
+                break;
+
+            case 'h': {
+                decoder.stats.objects++;
+                const items = this.parseList();
+                node.entries = [];
+                for (let i = 0; i < items.length; i += 2) {
+                    node.entries.push({ key: items[i], value: items[i + 1] || null });
+                }
+                break;
+            }
+
+            case 'i': {
+                decoder.stats.integers++;
+                const text = this.readText();
+                node.value = parseInt(text, 10);
+                if (isNaN(node.value)) {
+                    throw new Error(`Invalid integer '${text}' at ${start}`);
+                }
+                break;
+            }
+
+            case 'o': {
+                decoder.stats.booleans++;
+                const text = this.readText();
+                node.value = text === 't';
+                node.kind = node.value ? 'True' : 'False';
+                break;
+            }
+
+            case 'b': {
+                decoder.stats.objects++;
+                const bytes = ViewStateDecoder.base64ToBytes(this.readText());
+                node.size = bytes.length;
+                decoder.describeBinaryObject(node, bytes);
+                break;
+            }
+
+            default:
+                node.marker = token;
+                node.children = this.parseList();
+                break;
+        }
+
+        this.expect(LosTextFormatter.CLOSE);
+        node.end = decoder.position;
+        return node;
+    }
+
+    /**
+     * Parse ';'-separated items up to the closing '>'
+     * ArrayList items are each followed by ';', so a trailing separator ends the list
+     */
+    parseList() {
+        const items = [];
+        while (this.peek() !== LosTextFormatter.CLOSE) {
+            if (this.peek() === null) {
+                throw new Error(`Unterminated list at ${this.decoder.position}`);
+            }
+            items.push(this.parseValue());
+            if (this.peek() === LosTextFormatter.SEPARATOR) {
+                this.decoder.position++;
+            }
+        }
+        return items;
+    }
+
+    /**
+     * Read text up to an unescaped ';' or '>', resolving backslash escapes
+     */
+    readText() {
+        const decoder = this.decoder;
+        const bytes = [];
+        while (decoder.position < decoder.data.length) {
+            const byte = decoder.data[decoder.position];
+            if (byte === LosTextFormatter.SEPARATOR || byte === LosTextFormatter.CLOSE) break;
+            if (byte === LosTextFormatter.ESCAPE && decoder.position + 1 < decoder.data.length) {
+                decoder.position++;
+            }
+            bytes.push(decoder.data[decoder.position++]);
+        }
+        return new TextDecoder('utf-8').decode(new Uint8Array(bytes));
+    }
+
+    /**
+     * Consume an expected structural character
+     */
+    expect(byte) {
+        if (this.peek() !== byte) {
+            throw new Error(`Expected '${String.fromCharCode(byte)}' at ${this.decoder.position}`);
+        }
+        this.decoder.position++;
+    }
+
+    /**
+     * Next byte, or null at the end of the data
+     */
+    peek() {
+        const decoder = this.decoder;
+        return decoder.position < decoder.data.length ? decoder.data[decoder.position] : null;
+    }
+
+    /**
+     * Write a typed node tree (as built by ViewStateEditor.buildNode) in the text format
+     * Types the grammar has no token for are rejected rather than written as
+     * another type
+     * @param {object|null} node - Typed node (null is written as nothing)
+     * @returns {string} Text format ViewState
+     */
+    write(node) {
+        if (!node) return '';
+        const list = children => children.map(child => this.write(child) + ';').join('');
+
+        switch (node.kind) {
+            case 'Null':
+                return '';
+
+            case 'String':
+            case 'EmptyString':
+            case 'IndexedString':
+            case 'IndexedStringAdd':
+                return this.escape(node.value || '');
+
+            case 'Int32':
+            case 'ZeroInt32':
+                return `i<${node.value || 0}>`;
+
+            case 'True':
+            case 'False':
+                return `o<${node.kind === 'True' ? 't' : 'f'}>`;
+
+            case 'Pair':
+                return `p<${this.write(node.children[0])};${this.write(node.children[1])}>`;
+
+            case 'Triplet':
+                return `t<${node.children.map(child => this.write(child)).join(';')}>`;
+
+            case 'ArrayList':
+                return `l<${list(node.children)}>`;
+
+            case 'Array':
+                // '@' arrays are object arrays; typed arrays would change type
+                if (node.typeRef && node.typeRef.name !== 'System.Object') break;
+                return `@<${list(node.children)}>`;
+
+            case 'Hashtable':
+                return `h<${node.entries.map(entry => `${this.write(entry.key)};${this.write(entry.value)};`).join('')}>`;
+
+            case 'Unknown':
+                // Tokens this parser does not know are kept as they were read
+                if (!node.children) break;
+                return `${node.marker}<${list(node.children)}>`;
+
+            case 'BinarySerialized':
+                if (node.raw === undefined) {
+                    throw new Error(`Truncated BinaryFormatter object at offset ${node.start} cannot be encoded`);
+                }
+                return `b<${node.raw}>`;
+        }
+
+        const type = node.kind === 'Array' ? `${node.typeRef.name}[]` : node.kind;
+        throw new Error(`${type} cannot be written in the 1.x text format; encode as binary instead`);
+    }
+
+    /**
+     * Escape the grammar's structural characters in a string
+     */
+    escape(text) {
+        return text.replace(/[\\<>;]/g, '\\$&');
+    }
+}
+
+LosTextFormatter.OPEN = 0x3C;      // <
+LosTextFormatter.CLOSE = 0x3E;     // >
+LosTextFormatter.SEPARATOR = 0x3B; // ;
+LosTextFormatter.ESCAPE = 0x5C;    // \
+
+LosTextFormatter.TOKENS = {
+    p: { kind: 'Pair', type: 'System.Web.UI.Pair' },
+    t: { kind: 'Triplet', type: 'System.Web.UI.Triplet' },
+    l: { kind: 'ArrayList', type: 'System.Collections.ArrayList' },
+    '@': { kind: 'Array', type: 'System.Object[]' },
+    h: { kind: 'Hashtable', type: 'System.Collections.Hashtable' },
+    i: { kind: 'Int32', type: 'System.Int32' },
+    o: { kind: 'True', type: 'System.Boolean' },
+    b: { kind: 'BinarySerialized', type: 'System.Object' }
+};
+
+/**
+ * Detect the 1.x text format: a token letter followed by '<'
+ */
+LosTextFormatter.isTextFormat = function (bytes) {
+    return bytes.length >= 3 &&
+        bytes[1] === LosTextFormatter.OPEN &&
+        String.fromCharCode(bytes[0]) in LosTextFormatter.TOKENS;
+};
+
+// Export for use in other modules
+window.LosTextFormatter = LosTextFormatter;
@@ -0,0 +1,130 @@
+/**
+ * web.config machineKey Import
+ * Reads the <machineKey>, <pages> and <httpRuntime> settings that decide how
+ * a site signs and encrypts ViewState from a web.config or machine.config, as
+ * a key profile for the machineKey section.
+ */
+
+class MachineKeyConfig {
+    /**
+     * Parse a configuration file
+     * @param {string} text - web.config / machine.config content or a snippet of it
+     * @returns {object} { success, settings, warnings, error } where settings is
+     *     { validationKey, validation, decryptionKey, decryption, scheme,
+     *       compatibilityMode, viewStateEncryptionMode, enableViewStateMac }
+     */
+    parse(text) {
+        // Commented-out elements are common in config files and must not count
+        const input = text.replace(/^\uFEFF/, '').replace(/<!--[\s\S]*?-->/g, '');
+        const machineKeys = this.elements(input, 'machineKey');
+        const pages = this.elements(input, 'pages');
+        const httpRuntime = this.elements(input, 'httpRuntime');
+
+        if (machineKeys.length === 0 && pages.length === 0) {
+            return { success: false, error: 'No <machineKey> or <pages> element found' };
+        }
+
+        const warnings = [];
+        if (machineKeys.length > 1) {
+            warnings.push(`${machineKeys.length} <machineKey> elements found; using the first`);
+        }
+
+        const machineKey = machineKeys[0] || {};
+        const page = pages[0] || {};
+        const runtime = httpRuntime[0] || {};
+
+        const validationKey = this.key(machineKey.validationKey, 'validationKey', warnings);
+        const decryptionKey = this.key(machineKey.decryptionKey, 'decryptionKey', warnings);
+        if (machineKeys.length === 0) {
+            warnings.push('No <machineKey> element; the site uses auto-generated keys');
+        }
+
+        return {
+            success: true,
+            settings: {
+                validationKey,
+                validation: this.validation(machineKey.validation, warnings),
+                decryptionKey,
+                decryption: this.decryption(machineKey.decryption),
+                scheme: this.scheme(machineKey.compatibilityMode, runtime.targetFramework),
+                compatibilityMode: machineKey.compatibilityMode || null,
+                viewStateEncryptionMode: page.viewStateEncryptionMode || 'Auto',
+                enableViewStateMac: !/^false$/i.test(page.enableViewStateMac || '')
+            },
+            warnings
+        };
+    }
+
+    /**
+     * Attributes of every element with the given name
+     * @returns {Array<object>} Attribute maps, names as written
+     */
+    elements(input, name) {
+        const pattern = new RegExp(`<${name}\\b([^>]*)>`, 'gi');
+        return Array.from(input.matchAll(pattern), match => {
+            const attributes = {};
+            for (const attribute of match[1].matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+                attributes[attribute[1]] = (attribute[2] ?? attribute[3]).trim();
+            }
+            return attributes;
+        });
+    }
+
+    /**
+     * A hex key, or '' for AutoGenerate and missing keys
+     */
+    key(value, name, warnings) {
+        if (!value) return '';
+        if (/^AutoGenerate\b/i.test(value)) {
+            warnings.push(`${name} is AutoGenerate; the key is stored on the server, not in the file`);
+            return '';
+        }
+        if (!/^[0-9a-f]+$/i.test(value) || value.length % 2 !== 0) {
+            warnings.push(`${name} is not a hex key and was ignored`);
+            return '';
+        }
+        return value.toUpperCase();
+    }
+
+    /**
+     * validation attribute; ASP.NET 4 defaults to HMACSHA256
+     */
+    validation(value, warnings) {
+        if (!value) return 'HMACSHA256';
+        if (/^alg:/i.test(value)) {
+            warnings.push(`Custom validation algorithm ${value} is not supported; using HMACSHA256`);
+            return 'HMACSHA256';
+        }
+
+        const upper = value.toUpperCase();
+        if (upper in ViewStateCrypto.VALIDATION_ALGORITHMS) return upper;
+        warnings.push(`Unknown validation algorithm ${value}; using HMACSHA256`);
+        return 'HMACSHA256';
+    }
+
+    /**
+     * decryption attribute; Auto means AES
+     */
+    decryption(value) {
+        const upper = String(value || '').toUpperCase();
+        return ['AES', '3DES', 'DES'].includes(upper) ? upper : 'AES';
+    }
+
+    /**
+     * The .NET 4.5 purpose scheme applies with compatibilityMode="Framework45"
+     * or, when the mode is not set, with <httpRuntime targetFramework="4.5"> or later
+     */
+    scheme(compatibilityMode, targetFramework) {
+        if (compatibilityMode) {
+            return /^Framework45$/i.test(compatibilityMode) ? 'net45' : 'legacy';
+        }
+
+        const match = /^(\d+)\.(\d+)/.exec(targetFramework || '');
+        if (match && (Number(match[1]) > 4 || (Number(match[1]) === 4 && Number(match[2]) >= 5))) {
+            return 'net45';
+        }
+        return 'legacy';
+    }
+}
+
+window.MachineKeyConfig = MachineKeyConfig;
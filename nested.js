@@ -0,0 +1,135 @@
+/**
+ * Nested Payload Detection
+ * Recognises string values that carry an encoding of their own: Base64
+ * ViewState (e.g. saved by a user control), JSON (AJAX control ClientState),
+ * XML and URL-encoded query strings, and decodes them into plain values the
+ * tree view can show as children of the string.
+ */
+
+class NestedDecoder {
+    constructor() {
+        this.decoder = new ViewStateDecoder();
+        this.extractor = new ViewStateExtractor();
+    }
+
+    /**
+     * Recognise and decode an encoded payload
+     * @param {string} text - A string value from a decoded tree
+     * @returns {object|null} { format, label, value } with value the decoded
+     *     plain form, or null when the string is not a recognised payload
+     */
+    sniff(text) {
+        const input = text.trim();
+        if (input.length < NestedDecoder.MIN_LENGTH) return null;
+
+        return this.sniffViewState(input) ||
+            this.sniffJson(input) ||
+            this.sniffXml(input) ||
+            this.sniffQuery(input);
+    }
+
+    /**
+     * Base64 (possibly URL-encoded) of a binary or 1.x text ViewState that parses without errors
+     */
+    sniffViewState(input) {
+        const cleaned = ViewStateDecoder.cleanInput(input);
+        if (cleaned.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(cleaned)) return null;
+
+        const bytes = ViewStateDecoder.base64ToBytes(cleaned);
+        const text = LosTextFormatter.isTextFormat(bytes);
+        if (!text && !(bytes[0] === 0xFF && bytes[1] === 0x01)) return null;
+
+        try {
+            const result = this.decoder.decodeBytes(bytes);
+            if (!result.tree || result.diagnostics.some(d => d.severity === 'error')) return null;
+            const signed = result.protection === 'signed' ? ', signed' : '';
+            return {
+                format: 'viewstate',
+                label: `ViewState (${text ? '1.x text' : 'binary'}${signed})`,
+                value: result.data
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * A JSON object or array
+     */
+    sniffJson(input) {
+        if (!/^[[{]/.test(input) || !/[\]}]$/.test(input)) return null;
+        try {
+            return { format: 'json', label: 'JSON', value: JSON.parse(input) };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * A well-formed XML document or fragment with a single root element
+     */
+    sniffXml(input) {
+        if (!/^<[?!A-Za-z_]/.test(input) || !input.endsWith('>') || typeof DOMParser === 'undefined') return null;
+
+        const doc = new DOMParser().parseFromString(input, 'application/xml');
+        if (!doc.documentElement || doc.getElementsByTagName('parsererror').length > 0) return null;
+        return {
+            format: 'xml',
+            label: 'XML',
+            value: { [doc.documentElement.nodeName]: this.xmlToPlain(doc.documentElement) }
+        };
+    }
+
+    /**
+     * URL-encoded name=value pairs; a single pair only counts when it has
+     * percent escapes, so Base64 padding and plain "a=b" text are left alone
+     */
+    sniffQuery(input) {
+        const query = input.replace(/^\?/, '');
+        if (!/^[^=&\s<]+=[^&\s<]*(&[^=&\s<]+=[^&\s<]*)*$/.test(query)) return null;
+        if (!query.includes('&') && !/%[0-9A-Fa-f]{2}/.test(query)) return null;
+
+        const value = {};
+        for (const [name, field] of this.extractor.parseFormBody(query)) {
+            if (!(name in value)) {
+                value[name] = field;
+            } else {
+                value[name] = [].concat(value[name], field);
+            }
+        }
+        return { format: 'query', label: 'Query string', value };
+    }
+
+    /**
+     * Attributes as "@name", child elements by name (repeated ones as arrays)
+     * and text as "#text", or just the text for a plain text element
+     */
+    xmlToPlain(element) {
+        const result = {};
+        for (const attribute of Array.from(element.attributes)) {
+            result['@' + attribute.name] = attribute.value;
+        }
+
+        const children = Array.from(element.childNodes).filter(node => node.nodeType === 1);
+        for (const child of children) {
+            const value = this.xmlToPlain(child);
+            if (!(child.nodeName in result)) {
+                result[child.nodeName] = value;
+            } else {
+                result[child.nodeName] = [].concat(result[child.nodeName], [value]);
+            }
+        }
+
+        const text = children.length === 0 ? element.textContent.trim() : '';
+        if (Object.keys(result).length === 0) return text;
+        if (text) result['#text'] = text;
+        return result;
+    }
+}
+
+/**
+ * Shortest string checked for a payload
+ */
+NestedDecoder.MIN_LENGTH = 8;
+
+window.NestedDecoder = NestedDecoder;
@@ -0,0 +1,611 @@
+/**
+ * MS-NRBF (.NET BinaryFormatter) Parser
+ * Reads the record stream of a BinaryFormatter payload and resolves the
+ * object graph into a typed tree with class names, assembly names and members
+ */
+
+class NrbfParser {
+    constructor() {
+        this.data = null;
+        this.view = null;
+        this.position = 0;
+        this.objects = new Map();
+        this.classes = new Map();
+        this.libraries = new Map();
+        this.header = null;
+    }
+
+    /**
+     * Parse a BinaryFormatter stream
+     * @param {Uint8Array} bytes - Serialized bytes starting with a SerializationHeader
+     * @returns {object} { success, root, header, libraries, recordCount } or { success: false, error, offset }
+     */
+    parse(bytes) {
+        this.data = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.position = 0;
+        this.objects = new Map();
+        this.classes = new Map();
+        this.libraries = new Map();
+        this.header = null;
+
+        try {
+            let recordCount = 0;
+            let record;
+            do {
+                record = this.readRecord();
+                recordCount++;
+            } while (record.recordType !== NrbfParser.RECORD.MessageEnd);
+
+            if (!this.header) {
+                throw new Error('Missing SerializationHeader record');
+            }
+
+            return {
+                success: true,
+                root: this.resolve(this.header.rootId, new Map()),
+                header: this.header,
+                libraries: Object.fromEntries(this.libraries),
+                recordCount
+            };
+        } catch (error) {
+            return { success: false, error: error.message, offset: this.position };
+        }
+    }
+
+    /**
+     * Read one record; records with an ObjectId are registered for later resolution
+     */
+    readRecord() {
+        const start = this.position;
+        const recordType = this.readByte();
+        const RECORD = NrbfParser.RECORD;
+
+        switch (recordType) {
+            case RECORD.SerializedStreamHeader:
+                this.header = {
+                    rootId: this.readInt32(),
+                    headerId: this.readInt32(),
+                    majorVersion: this.readInt32(),
+                    minorVersion: this.readInt32()
+                };
+                return { recordType };
+
+            case RECORD.BinaryLibrary: {
+                const id = this.readInt32();
+                this.libraries.set(id, this.readString());
+                return { recordType };
+            }
+
+            case RECORD.ClassWithId: {
+                const id = this.readInt32();
+                const metadataId = this.readInt32();
+                const metadata = this.classes.get(metadataId);
+                if (!metadata) {
+                    throw new Error(`ClassWithId at ${start} references unknown class metadata ${metadataId}`);
+                }
+                return this.readClassValues(recordType, start, id, metadata);
+            }
+
+            case RECORD.SystemClassWithMembers:
+            case RECORD.ClassWithMembers:
+            case RECORD.SystemClassWithMembersAndTypes:
+            case RECORD.ClassWithMembersAndTypes: {
+                const info = this.readClassInfo();
+                const typed = recordType === RECORD.SystemClassWithMembersAndTypes ||
+                    recordType === RECORD.ClassWithMembersAndTypes;
+                const memberTypes = typed ? this.readMemberTypeInfo(info.memberNames.length) : null;
+                const system = recordType === RECORD.SystemClassWithMembers ||
+                    recordType === RECORD.SystemClassWithMembersAndTypes;
+                const libraryId = system ? null : this.readInt32();
+
+                const metadata = { className: info.name, memberNames: info.memberNames, memberTypes, libraryId };
+                this.classes.set(info.objectId, metadata);
+                return this.readClassValues(recordType, start, info.objectId, metadata);
+            }
+
+            case RECORD.BinaryObjectString: {
+                const id = this.readInt32();
+                return this.register({ recordType, kind: 'String', id, value: this.readString(), start, end: this.position });
+            }
+
+            case RECORD.BinaryArray:
+                return this.readBinaryArray(start);
+
+            case RECORD.MemberPrimitiveTyped: {
+                const primitiveType = this.readByte();
+                return { recordType, kind: 'Primitive', ...this.readPrimitive(primitiveType), start, end: this.position };
+            }
+
+            case RECORD.MemberReference:
+                return { recordType, kind: 'Reference', idRef: this.readInt32(), start, end: this.position };
+
+            case RECORD.ObjectNull:
+                return { recordType, kind: 'Null', count: 1, start, end: this.position };
+
+            case RECORD.ObjectNullMultiple256:
+                return { recordType, kind: 'Null', count: this.readByte(), start, end: this.position };
+
+            case RECORD.ObjectNullMultiple:
+                return { recordType, kind: 'Null', count: this.readInt32(), start, end: this.position };
+
+            case RECORD.MessageEnd:
+                return { recordType };
+
+            case RECORD.ArraySinglePrimitive: {
+                const id = this.readInt32();
+                const length = this.readLength();
+                const primitiveType = this.readByte();
+                const items = [];
+                for (let i = 0; i < length; i++) {
+                    items.push({ kind: 'Primitive', ...this.readPrimitive(primitiveType) });
+                }
+                return this.register({
+                    recordType, kind: 'Array', id, elementType: NrbfParser.PRIMITIVE_TYPES[primitiveType],
+                    lengths: [length], items, start, end: this.position
+                });
+            }
+
+            case RECORD.ArraySingleObject:
+            case RECORD.ArraySingleString: {
+                const id = this.readInt32();
+                const length = this.readLength();
+                const items = this.readArrayItems(length, null);
+                return this.register({
+                    recordType, kind: 'Array', id,
+                    elementType: recordType === RECORD.ArraySingleString ? 'String' : 'Object',
+                    lengths: [length], items, start, end: this.position
+                });
+            }
+
+            case RECORD.MethodCall:
+            case RECORD.MethodReturn:
+                throw new Error(`Remoting message records are not supported (record ${recordType} at ${start})`);
+
+            default:
+                throw new Error(`Unknown record type ${recordType} at ${start}`);
+        }
+    }
+
+    /**
+     * Read ClassInfo: ObjectId, Name, MemberCount and MemberNames
+     */
+    readClassInfo() {
+        const objectId = this.readInt32();
+        const name = this.readString();
+        const count = this.readLength();
+        const memberNames = [];
+        for (let i = 0; i < count; i++) {
+            memberNames.push(this.readString());
+        }
+        return { objectId, name, memberNames };
+    }
+
+    /**
+     * Read MemberTypeInfo: a BinaryTypeEnum per member followed by the additional type info
+     */
+    readMemberTypeInfo(count) {
+        const binaryTypes = [];
+        for (let i = 0; i < count; i++) {
+            binaryTypes.push(this.readByte());
+        }
+        return binaryTypes.map(binaryType => ({ binaryType, ...this.readAdditionalTypeInfo(binaryType) }));
+    }
+
+    /**
+     * Read the additional type information for a BinaryTypeEnum
+     */
+    readAdditionalTypeInfo(binaryType) {
+        const BINARY = NrbfParser.BINARY_TYPE;
+        switch (binaryType) {
+            case BINARY.Primitive:
+            case BINARY.PrimitiveArray: {
+                const primitiveType = this.readByte();
+                if (!NrbfParser.PRIMITIVE_TYPES[primitiveType]) {
+                    throw new Error(`Unknown primitive type ${primitiveType} at ${this.position - 1}`);
+                }
+                return { primitiveType };
+            }
+            case BINARY.SystemClass:
+                return { className: this.readString() };
+            case BINARY.Class:
+                return { className: this.readString(), libraryId: this.readInt32() };
+            case BINARY.String:
+            case BINARY.Object:
+            case BINARY.ObjectArray:
+            case BINARY.StringArray:
+                return {};
+            default:
+                throw new Error(`Unknown binary type ${binaryType} at ${this.position - 1}`);
+        }
+    }
+
+    /**
+     * Read the member values of a class record
+     */
+    readClassValues(recordType, start, id, metadata) {
+        const members = metadata.memberNames.map((name, i) => {
+            const memberType = metadata.memberTypes ? metadata.memberTypes[i] : null;
+            const value = memberType && memberType.binaryType === NrbfParser.BINARY_TYPE.Primitive
+                ? { kind: 'Primitive', ...this.readPrimitive(memberType.primitiveType) }
+                : this.readValueRecord();
+            return { name, value };
+        });
+
+        return this.register({
+            recordType,
+            kind: 'Object',
+            id,
+            className: metadata.className,
+            libraryId: metadata.libraryId,
+            members,
+            start,
+            end: this.position
+        });
+    }
+
+    /**
+     * Read a BinaryArray record (jagged, rectangular and offset arrays)
+     */
+    readBinaryArray(start) {
+        const id = this.readInt32();
+        const arrayType = this.readByte();
+        const rank = this.readLength();
+        const lengths = [];
+        for (let i = 0; i < rank; i++) {
+            lengths.push(this.readLength());
+        }
+
+        // SingleOffset, JaggedOffset and RectangularOffset carry lower bounds
+        let lowerBounds = null;
+        if (arrayType >= 3 && arrayType <= 5) {
+            lowerBounds = [];
+            for (let i = 0; i < rank; i++) {
+                lowerBounds.push(this.readInt32());
+            }
+        }
+
+        const binaryType = this.readByte();
+        const typeInfo = { binaryType, ...this.readAdditionalTypeInfo(binaryType) };
+        const total = lengths.reduce((product, length) => product * length, 1);
+        const items = this.readArrayItems(total, typeInfo);
+
+        return this.register({
+            recordType: NrbfParser.RECORD.BinaryArray,
+            kind: 'Array',
+            id,
+            arrayType: NrbfParser.ARRAY_TYPES[arrayType] || String(arrayType),
+            elementType: this.describeType(typeInfo),
+            lengths,
+            lowerBounds,
+            items,
+            start,
+            end: this.position
+        });
+    }
+
+    /**
+     * Read array elements, expanding ObjectNullMultiple runs
+     */
+    readArrayItems(count, typeInfo) {
+        const items = [];
+        if (typeInfo && typeInfo.binaryType === NrbfParser.BINARY_TYPE.Primitive) {
+            for (let i = 0; i < count; i++) {
+                items.push({ kind: 'Primitive', ...this.readPrimitive(typeInfo.primitiveType) });
+            }
+            return items;
+        }
+
+        while (items.length < count) {
+            const value = this.readValueRecord();
+            if (value.kind === 'Null') {
+                for (let i = 0; i < value.count && items.length < count; i++) {
+                    items.push({ kind: 'Null' });
+                }
+            } else {
+                items.push(value);
+            }
+        }
+        return items;
+    }
+
+    /**
+     * Read a record that stands for a value, skipping any BinaryLibrary records before it
+     */
+    readValueRecord() {
+        let record;
+        do {
+            record = this.readRecord();
+        } while (record.recordType === NrbfParser.RECORD.BinaryLibrary);
+
+        if (record.recordType === NrbfParser.RECORD.MessageEnd ||
+            record.recordType === NrbfParser.RECORD.SerializedStreamHeader) {
+            throw new Error(`Unexpected record type ${record.recordType} where a value was expected`);
+        }
+        return record;
+    }
+
+    /**
+     * Read a primitive value of the given PrimitiveTypeEnum
+     */
+    readPrimitive(primitiveType) {
+        const type = NrbfParser.PRIMITIVE_TYPES[primitiveType];
+        switch (type) {
+            case 'Boolean': return { type, value: this.readByte() !== 0 };
+            case 'Byte': return { type, value: this.readByte() };
+            case 'SByte': return { type, value: this.read(1, 'getInt8') };
+            case 'Char': return { type, value: this.readChar() };
+            case 'Decimal': return { type, value: this.readString() };
+            case 'Double': return { type, value: this.read(8, 'getFloat64') };
+            case 'Single': return { type, value: this.read(4, 'getFloat32') };
+            case 'Int16': return { type, value: this.read(2, 'getInt16') };
+            case 'UInt16': return { type, value: this.read(2, 'getUint16') };
+            case 'Int32': return { type, value: this.readInt32() };
+            case 'UInt32': return { type, value: this.read(4, 'getUint32') };
+            case 'Int64': return { type, value: this.read(8, 'getBigInt64').toString() };
+            case 'UInt64': return { type, value: this.read(8, 'getBigUint64').toString() };
+            case 'TimeSpan': return { type, value: this.read(8, 'getBigInt64').toString() };
+            case 'DateTime': return { type, value: this.readDateTime() };
+            case 'String': return { type, value: this.readString() };
+            case 'Null': return { type, value: null };
+            default:
+                throw new Error(`Unknown primitive type ${primitiveType} at ${this.position}`);
+        }
+    }
+
+    /**
+     * Read a DateTime (ticks with the kind in the top two bits)
+     */
+    readDateTime() {
+        const binary = BigInt.asUintN(64, this.read(8, 'getBigInt64'));
+        const ticks = binary & 0x3FFFFFFFFFFFFFFFn;
+        const date = new Date(Number((ticks - 621355968000000000n) / 10000n));
+        return isNaN(date.getTime()) ? ticks.toString() : date.toISOString();
+    }
+
+    /**
+     * Read a fixed-size little-endian value with a DataView getter
+     */
+    read(size, getter) {
+        this.ensure(size);
+        const value = this.view[getter](this.position, true);
+        this.position += size;
+        return value;
+    }
+
+    /**
+     * Read a single byte
+     */
+    readByte() {
+        this.ensure(1);
+        return this.data[this.position++];
+    }
+
+    /**
+     * Read a little-endian 32-bit signed integer
+     */
+    readInt32() {
+        return this.read(4, 'getInt32');
+    }
+
+    /**
+     * Read a non-negative 32-bit count, rejecting values past the end of the data
+     */
+    readLength() {
+        const length = this.readInt32();
+        if (length < 0 || length > this.data.length) {
+            throw new Error(`Invalid length ${length} at ${this.position - 4}`);
+        }
+        return length;
+    }
+
+    /**
+     * Read a LengthPrefixedString (7-bit encoded byte length, UTF-8)
+     */
+    readString() {
+        let length = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (shift >= 35) {
+                throw new Error(`Invalid string length at ${this.position}`);
+            }
+            byte = this.readByte();
+            length |= (byte & 0x7F) << shift;
+            shift += 7;
+        } while (byte & 0x80);
+
+        this.ensure(length);
+        const bytes = this.data.subarray(this.position, this.position + length);
+        this.position += length;
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+
+    /**
+     * Read a UTF-8 encoded Char
+     */
+    readChar() {
+        const lead = this.readByte();
+        let extra = 0;
+        if (lead >= 0xF0) extra = 3;
+        else if (lead >= 0xE0) extra = 2;
+        else if (lead >= 0xC0) extra = 1;
+
+        this.ensure(extra);
+        const bytes = this.data.subarray(this.position - 1, this.position + extra);
+        this.position += extra;
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+
+    /**
+     * Throw if fewer than size bytes remain
+     */
+    ensure(size) {
+        if (this.position + size > this.data.length) {
+            throw new Error(`Unexpected end of data at ${this.position}`);
+        }
+    }
+
+    /**
+     * Remember a record under its ObjectId
+     */
+    register(record) {
+        this.objects.set(record.id, record);
+        return record;
+    }
+
+    /**
+     * Describe an array element type from its type info
+     */
+    describeType(typeInfo) {
+        if (typeInfo.primitiveType) return NrbfParser.PRIMITIVE_TYPES[typeInfo.primitiveType];
+        if (typeInfo.className) return typeInfo.className;
+        return NrbfParser.BINARY_TYPE_NAMES[typeInfo.binaryType];
+    }
+
+    /**
+     * Resolve an object id into a tree node, following MemberReferences
+     * An object or array is expanded where it is first reached and emitted as a
+     * reference everywhere else, which breaks cycles and keeps shared (diamond)
+     * references from expanding exponentially; strings are leaves and repeat inline
+     * @param {Map} resolved - Ids expanded so far in this parse, to their nodes
+     */
+    resolve(id, resolved) {
+        const record = this.objects.get(id);
+        if (!record) {
+            return { kind: 'Reference', id, unresolved: true };
+        }
+        if (resolved.has(id) && record.kind !== 'String') {
+            return { kind: 'Reference', id };
+        }
+
+        let node;
+        if (record.kind === 'Object') {
+            node = {
+                kind: 'Object',
+                id,
+                className: record.className,
+                assembly: record.libraryId === null ? 'mscorlib' : (this.libraries.get(record.libraryId) || null),
+                members: [],
+                start: record.start,
+                end: record.end
+            };
+        } else if (record.kind === 'Array') {
+            node = {
+                kind: 'Array',
+                id,
+                arrayType: record.arrayType || 'Single',
+                elementType: record.elementType,
+                lengths: record.lengths,
+                items: [],
+                start: record.start,
+                end: record.end
+            };
+        } else {
+            node = { kind: record.kind, id, value: record.value, start: record.start, end: record.end };
+        }
+
+        // Registered before the children so that cycles back to it become references
+        resolved.set(id, node);
+        if (record.kind === 'Object') {
+            node.members = record.members.map(member => ({ name: member.name, value: this.resolveValue(member.value, resolved) }));
+        } else if (record.kind === 'Array') {
+            node.items = record.items.map(item => this.resolveValue(item, resolved));
+        }
+        return node;
+    }
+
+    /**
+     * Resolve a member or array value
+     */
+    resolveValue(value, resolved) {
+        if (value.kind === 'Reference') return this.resolve(value.idRef, resolved);
+        if (value.kind === 'Object' || value.kind === 'Array' || value.kind === 'String') return this.resolve(value.id, resolved);
+        if (value.kind === 'Null') return { kind: 'Null' };
+        return { kind: 'Primitive', type: value.type, value: value.value };
+    }
+}
+
+NrbfParser.RECORD = {
+    SerializedStreamHeader: 0,
+    ClassWithId: 1,
+    SystemClassWithMembers: 2,
+    ClassWithMembers: 3,
+    SystemClassWithMembersAndTypes: 4,
+    ClassWithMembersAndTypes: 5,
+    BinaryObjectString: 6,
+    BinaryArray: 7,
+    MemberPrimitiveTyped: 8,
+    MemberReference: 9,
+    ObjectNull: 10,
+    MessageEnd: 11,
+    BinaryLibrary: 12,
+    ObjectNullMultiple256: 13,
+    ObjectNullMultiple: 14,
+    ArraySinglePrimitive: 15,
+    ArraySingleObject: 16,
+    ArraySingleString: 17,
+    MethodCall: 21,
+    MethodReturn: 22
+};
+
+NrbfParser.BINARY_TYPE = {
+    Primitive: 0,
+    String: 1,
+    Object: 2,
+    SystemClass: 3,
+    Class: 4,
+    ObjectArray: 5,
+    StringArray: 6,
+    PrimitiveArray: 7
+};
+
+NrbfParser.BINARY_TYPE_NAMES = ['Primitive', 'String', 'Object', 'SystemClass', 'Class', 'Object[]', 'String[]', 'PrimitiveArray'];
+
+NrbfParser.ARRAY_TYPES = ['Single', 'Jagged', 'Rectangular', 'SingleOffset', 'JaggedOffset', 'RectangularOffset'];
+
+NrbfParser.PRIMITIVE_TYPES = {
+    1: 'Boolean',
+    2: 'Byte',
+    3: 'Char',
+    5: 'Decimal',
+    6: 'Double',
+    7: 'Int16',
+    8: 'Int32',
+    9: 'Int64',
+    10: 'SByte',
+    11: 'Single',
+    12: 'TimeSpan',
+    13: 'DateTime',
+    14: 'UInt16',
+    15: 'UInt32',
+    16: 'UInt64',
+    17: 'Null',
+    18: 'String'
+};
+
+/**
+ * Project a resolved node into plain JSON
+ */
+NrbfParser.toPlain = function (node) {
+    switch (node.kind) {
+        case 'Object': {
+            const members = {};
+            for (const member of node.members) {
+                members[member.name] = NrbfParser.toPlain(member.value);
+            }
+            return { type: 'Object', className: node.className, assembly: node.assembly, members };
+        }
+        case 'Array':
+            return node.items.map(item => NrbfParser.toPlain(item));
+        case 'Reference':
+            return { type: 'Reference', id: node.id };
+        case 'Null':
+            return null;
+        default:
+            return node.value;
+    }
+};
+
+// Export for use in other modules
+window.NrbfParser = NrbfParser;
@@ -0,0 +1,173 @@
+/**
+ * machineKey Profiles
+ * Named machineKey settings kept in localStorage, so keys imported from a
+ * web.config or typed once can be picked again for decoding, verifying and
+ * encoding. Profiles export to and import from a JSON file for sharing.
+ */
+
+class MachineKeyProfiles {
+    /**
+     * @param {Storage} [storage] - Defaults to localStorage; null keeps profiles in memory only
+     */
+    constructor(storage = MachineKeyProfiles.defaultStorage()) {
+        this.storage = storage;
+        this.memory = [];
+    }
+
+    /**
+     * @returns {Array<object>} Saved profiles sorted by name
+     */
+    list() {
+        return this.load().sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * @param {string} name - Profile name
+     * @returns {object|null} The profile
+     */
+    get(name) {
+        return this.load().find(profile => profile.name === name) || null;
+    }
+
+    /**
+     * Save a profile, replacing one with the same name
+     * @param {object} profile - { name, validationKey, validation, decryptionKey,
+     *     decryption, scheme, viewStateEncryptionMode, enableViewStateMac }
+     * @returns {object} { success, profile, error }
+     */
+    save(profile) {
+        const normalized = this.normalize(profile);
+        if (!normalized) {
+            return { success: false, error: 'A profile needs a name' };
+        }
+
+        const profiles = this.load().filter(existing => existing.name !== normalized.name);
+        profiles.push(normalized);
+        return this.store(profiles)
+            ? { success: true, profile: normalized }
+            : { success: false, error: 'Profiles could not be saved in this browser' };
+    }
+
+    /**
+     * @param {string} name - Profile to delete
+     * @returns {boolean} Whether a profile was deleted
+     */
+    remove(name) {
+        const profiles = this.load();
+        const remaining = profiles.filter(profile => profile.name !== name);
+        if (remaining.length === profiles.length) return false;
+        return this.store(remaining);
+    }
+
+    /**
+     * @returns {string} Every profile as a JSON document
+     */
+    export() {
+        return JSON.stringify({
+            format: MachineKeyProfiles.FORMAT,
+            version: 1,
+            profiles: this.list()
+        }, null, 2);
+    }
+
+    /**
+     * Import exported profiles; profiles with the same name are replaced
+     * @param {string} text - JSON from export(), or a bare array of profiles
+     * @returns {object} { success, count, error }
+     */
+    import(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { success: false, error: `Invalid JSON: ${error.message}` };
+        }
+
+        const entries = Array.isArray(data) ? data : data && data.profiles;
+        if (!Array.isArray(entries)) {
+            return { success: false, error: 'No profiles found in the file' };
+        }
+
+        const imported = entries.map(entry => this.normalize(entry)).filter(Boolean);
+        if (imported.length === 0) {
+            return { success: false, error: 'No profiles found in the file' };
+        }
+
+        const names = new Set(imported.map(profile => profile.name));
+        const profiles = this.load().filter(profile => !names.has(profile.name)).concat(imported);
+        if (!this.store(profiles)) {
+            return { success: false, error: 'Profiles could not be saved in this browser' };
+        }
+        return { success: true, count: imported.length };
+    }
+
+    /**
+     * Keep the known fields with their defaults; null without a name
+     */
+    normalize(profile) {
+        if (!profile || typeof profile !== 'object') return null;
+        const name = String(profile.name || '').trim();
+        if (!name) return null;
+
+        const validation = String(profile.validation || '').toUpperCase();
+        const decryption = String(profile.decryption || '').toUpperCase();
+        return {
+            name,
+            validationKey: String(profile.validationKey || '').trim(),
+            validation: validation in ViewStateCrypto.VALIDATION_ALGORITHMS ? validation : 'HMACSHA256',
+            decryptionKey: String(profile.decryptionKey || '').trim(),
+            decryption: ['AES', '3DES', 'DES'].includes(decryption) ? decryption : 'AES',
+            scheme: profile.scheme === 'net45' ? 'net45' : 'legacy',
+            viewStateEncryptionMode: ['Always', 'Auto', 'Never'].includes(profile.viewStateEncryptionMode)
+                ? profile.viewStateEncryptionMode
+                : 'Auto',
+            enableViewStateMac: profile.enableViewStateMac !== false
+        };
+    }
+
+    load() {
+        if (!this.storage) return this.memory.slice();
+        try {
+            const data = JSON.parse(this.storage.getItem(MachineKeyProfiles.STORAGE_KEY) || '[]');
+            return Array.isArray(data) ? data.map(entry => this.normalize(entry)).filter(Boolean) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    store(profiles) {
+        if (!this.storage) {
+            this.memory = profiles;
+            return true;
+        }
+        try {
+            this.storage.setItem(MachineKeyProfiles.STORAGE_KEY, JSON.stringify(profiles));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+/**
+ * localStorage, or null where it is unavailable (some browsers block it for file:// pages)
+ */
+MachineKeyProfiles.defaultStorage = function () {
+    try {
+        return window.localStorage || null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * localStorage entry holding the profiles
+ */
+MachineKeyProfiles.STORAGE_KEY = 'viewstate-decoder.machineKeyProfiles';
+
+/**
+ * format marker of exported files
+ */
+MachineKeyProfiles.FORMAT = 'viewstate-decoder-machinekey-profiles';
+
+window.MachineKeyProfiles = MachineKeyProfiles;
@@ -0,0 +1,248 @@
+/**
+ * ViewState Findings Scanner
+ * Walks a decoded view (the labelled page structure or the raw projection)
+ * and flags what a security review looks for: missing MAC or encryption,
+ * personal data, credentials, infrastructure details and types that are
+ * known deserialization gadgets. Each finding carries the path of its node
+ * in the tree view ("root → first → 3").
+ */
+
+class ViewStateScanner {
+    /**
+     * @param {NestedDecoder} [nested] - Also scans payloads nested in string values, as the tree view shows them
+     */
+    constructor(nested = null) {
+        this.nested = nested;
+    }
+
+    /**
+     * Scan a decoded ViewState
+     * @param {object} result - Result of ViewStateDecoder.decode()
+     * @param {*} view - The view shown in the tree
+     * @param {string} rootKey - Label of the tree's root
+     * @returns {object[]} [{ severity, category, title, detail, path, value }], most severe first
+     */
+    scan(result, view, rootKey) {
+        this.findings = [];
+        this.checkProtection(result, rootKey);
+        this.walk(view, rootKey);
+
+        const order = ViewStateScanner.SEVERITIES;
+        return this.findings.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+    }
+
+    checkProtection(result, path) {
+        switch (result.protection) {
+            case 'unsigned':
+                this.add('high', 'Protection', 'ViewState is not signed',
+                    'Without a MAC (EnableViewStateMac off) anyone can tamper with the state, and ObjectStateFormatter input leads to code execution', path);
+                break;
+            case 'unknown':
+                this.add('medium', 'Protection', 'ViewState has unrecognized trailing bytes',
+                    'The trailing bytes do not have the length of a known MAC; check whether the page validates its ViewState', path);
+                break;
+            case 'signed':
+                this.add('low', 'Protection', 'ViewState is signed but not encrypted',
+                    'Anyone who can see the page can read every value in this tree', path);
+                break;
+            case 'decrypted':
+                this.add('info', 'Protection', 'ViewState was decrypted with the supplied decryptionKey',
+                    'Its contents are only as private as that key', path);
+                break;
+        }
+    }
+
+    walk(value, path) {
+        if (this.findings.length >= ViewStateScanner.MAX_FINDINGS) return;
+
+        if (typeof value === 'string') {
+            const nested = this.nested && this.nested.sniff(value);
+            if (nested) {
+                this.walk(nested.value, `${path} → ${nested.label}`);
+            } else {
+                this.checkString(value, path);
+            }
+            return;
+        }
+        if (value === null || typeof value !== 'object') return;
+
+        this.checkTypes(value, path);
+        for (const key of Object.keys(value)) {
+            const childPath = `${path} → ${key}`;
+            if (ViewStateScanner.SECRET_KEY.test(key) && typeof value[key] === 'string' && value[key]) {
+                this.add('medium', 'Secret', `Value stored under "${key}"`,
+                    'The key name suggests a password, token or other secret', childPath, value[key]);
+            }
+            this.walk(value[key], childPath);
+        }
+    }
+
+    /**
+     * Type names (TypeRef name, StringFormatted typeName, BinaryFormatter
+     * className) are string members, so checkString() sees them; objects only
+     * add the BinaryFormatter payload itself
+     */
+    checkTypes(value, path) {
+        if (value.type === 'BinarySerializedObject' || value.type === 'BinaryObject') {
+            this.add('low', 'Deserialization', 'BinaryFormatter payload',
+                'The page deserializes this with BinaryFormatter; whoever holds the machineKey can replace it with a gadget chain', path);
+        }
+    }
+
+    checkType(name, path) {
+        for (const gadget of ViewStateScanner.DANGEROUS_TYPES) {
+            if (name.includes(gadget.type)) {
+                this.add(gadget.severity, 'Deserialization', `${gadget.name} (${gadget.type})`, gadget.detail, path, name);
+                return;
+            }
+        }
+    }
+
+    checkString(text, path) {
+        if (text.length < 5) return;
+
+        // Type names, also inside strings such as XAML payloads
+        this.checkType(text, path);
+
+        for (const match of text.matchAll(ViewStateScanner.EMAIL)) {
+            this.add('medium', 'PII', 'Email address', '', path, match[0]);
+        }
+
+        for (const match of text.matchAll(ViewStateScanner.CARD)) {
+            const digits = match[0].replace(/\D/g, '');
+            if (ViewStateScanner.CARD_PREFIX.test(digits) && ViewStateScanner.luhn(digits)) {
+                this.add('high', 'PII', 'Payment card number', 'Passes the Luhn check', path, match[0]);
+            }
+        }
+
+        for (const [pattern, title] of ViewStateScanner.NATIONAL_IDS) {
+            for (const match of text.matchAll(pattern)) {
+                this.add('high', 'PII', title, '', path, match[0]);
+            }
+        }
+
+        for (const match of text.matchAll(ViewStateScanner.PHONE)) {
+            const digits = match[0].replace(/\D/g, '').length;
+            if (digits >= 9 && digits <= 15) this.add('low', 'PII', 'Phone number', '', path, match[0]);
+        }
+
+        const keys = new Set(Array.from(text.matchAll(ViewStateScanner.CONNECTION_KEYS), match => match[1].toLowerCase().replace(/\s+/g, ' ')));
+        if (keys.size >= 2) {
+            const password = keys.has('password') || keys.has('pwd');
+            this.add(password ? 'high' : 'medium', 'Secret', password ? 'Connection string with a password' : 'Connection string',
+                `Keys: ${Array.from(keys).join(', ')}`, path, text);
+        }
+
+        for (const match of text.matchAll(ViewStateScanner.FILE_PATH)) {
+            const unc = match[0].startsWith('\\\\');
+            this.add(unc ? 'medium' : 'low', 'Infrastructure', unc ? 'Network share path' : 'Server file path', '', path, match[0]);
+        }
+
+        for (const match of text.matchAll(ViewStateScanner.INTERNAL_HOST)) {
+            this.add('medium', 'Infrastructure', 'Internal hostname or address', '', path, match[0]);
+        }
+    }
+
+    add(severity, category, title, detail, path, value = null) {
+        if (this.findings.length >= ViewStateScanner.MAX_FINDINGS) return;
+        this.findings.push({ severity, category, title, detail, path, value });
+    }
+}
+
+/**
+ * Severities, most severe first
+ */
+ViewStateScanner.SEVERITIES = ['high', 'medium', 'low', 'info'];
+
+/**
+ * Findings kept per scan
+ */
+ViewStateScanner.MAX_FINDINGS = 500;
+
+/**
+ * Types used by known .NET deserialization gadget chains (ysoserial.net and
+ * related research); matched as substrings of type and class names
+ */
+ViewStateScanner.DANGEROUS_TYPES = [
+    { name: 'ObjectDataProvider', type: 'System.Windows.Data.ObjectDataProvider', severity: 'high', detail: 'Invokes an arbitrary method when deserialized' },
+    { name: 'ExpandedWrapper', type: 'System.Data.Services.Internal.ExpandedWrapper', severity: 'high', detail: 'Wraps ObjectDataProvider gadgets for type-restricted serializers' },
+    { name: 'XamlReader', type: 'System.Windows.Markup.XamlReader', severity: 'high', detail: 'Parses XAML that can instantiate arbitrary objects' },
+    { name: 'ResourceDictionary', type: 'System.Windows.ResourceDictionary', severity: 'high', detail: 'Loads XAML when deserialized' },
+    { name: 'TypeConfuseDelegate', type: 'System.DelegateSerializationHolder', severity: 'high', detail: 'Serialized delegates let the payload call arbitrary methods' },
+    { name: 'TypeConfuseDelegate', type: 'System.Collections.Generic.ComparisonComparer', severity: 'high', detail: 'Comparer around a delegate, the core of the TypeConfuseDelegate chain' },
+    { name: 'WindowsIdentity', type: 'System.Security.Principal.WindowsIdentity', severity: 'high', detail: 'Deserializes its actor and bootstrap context with BinaryFormatter' },
+    { name: 'WindowsClaimsIdentity', type: 'Microsoft.IdentityModel.Claims.WindowsClaimsIdentity', severity: 'high', detail: 'Deserializes nested BinaryFormatter data' },
+    { name: 'ClaimsIdentity', type: 'System.Security.Claims.ClaimsIdentity', severity: 'high', detail: 'Deserializes its bootstrap context with BinaryFormatter' },
+    { name: 'ClaimsPrincipal', type: 'System.Security.Claims.ClaimsPrincipal', severity: 'high', detail: 'Deserializes its identities with BinaryFormatter' },
+    { name: 'SessionSecurityToken', type: 'System.IdentityModel.Tokens.SessionSecurityToken', severity: 'high', detail: 'Deserializes claims with BinaryFormatter' },
+    { name: 'RolePrincipal', type: 'System.Web.Security.RolePrincipal', severity: 'high', detail: 'Deserializes nested BinaryFormatter data' },
+    { name: 'ActivitySurrogateSelector', type: 'System.Workflow.ComponentModel.Serialization.ActivitySurrogateSelector', severity: 'high', detail: 'Loads and runs assembly bytes from the payload' },
+    { name: 'TextFormattingRunProperties', type: 'Microsoft.VisualStudio.Text.Formatting.TextFormattingRunProperties', severity: 'high', detail: 'Parses XAML from a serialized string' },
+    { name: 'PSObject', type: 'System.Management.Automation.PSObject', severity: 'high', detail: 'Rehydrates CLIXML that can instantiate arbitrary types' },
+    { name: 'ResourceSet', type: 'System.Resources.ResourceSet', severity: 'high', detail: 'Deserializes resources with BinaryFormatter' },
+    { name: 'ObjRef', type: 'System.Runtime.Remoting.ObjRef', severity: 'high', detail: 'Makes the server connect back to a remoting endpoint' },
+    { name: 'AxHost.State', type: 'System.Windows.Forms.AxHost+State', severity: 'high', detail: 'Deserializes nested BinaryFormatter data' },
+    { name: 'ToolboxItemContainer', type: 'System.Drawing.Design.ToolboxItemContainer', severity: 'high', detail: 'Deserializes nested BinaryFormatter data' },
+    { name: 'SessionViewStateHistoryItem', type: 'System.Web.UI.MobileControls.SessionViewStateHistoryItem', severity: 'high', detail: 'Deserializes nested LosFormatter data' },
+    { name: 'AssemblyInstaller', type: 'System.Configuration.Install.AssemblyInstaller', severity: 'high', detail: 'Loads an assembly from a path in the payload' },
+    { name: 'DataSet', type: 'System.Data.DataSet', severity: 'low', detail: 'Deserializes nested BinaryFormatter data when the state is attacker-controlled' }
+];
+
+/**
+ * StateBag and dictionary keys whose values are likely secrets
+ */
+ViewStateScanner.SECRET_KEY = /pass(word|wd)?$|^pwd$|secret|token|api[-_]?key|private[-_]?key/i;
+
+ViewStateScanner.EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+
+/**
+ * Separated digit groups, not part of a longer run such as a card number
+ */
+ViewStateScanner.PHONE = /(?<![\w.+-]|\d )(\+\d{1,3}[ .-]?)?(\(\d{1,4}\)[ .-]?)?\d{2,4}[ .-]\d{3,4}([ .-]?\d{3,4})?(?![\w.-]| \d)/g;
+
+ViewStateScanner.CARD = /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g;
+
+/**
+ * Visa, Mastercard, American Express and Discover prefixes
+ */
+ViewStateScanner.CARD_PREFIX = /^(4|5[1-5]|2[2-7]|3[47]|6011|65)/;
+
+ViewStateScanner.NATIONAL_IDS = [
+    [/(?<![\d-])(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}(?![\d-])/g, 'US Social Security number'],
+    [/\b(?!BG|GB|NK|KN|TN|NT|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g, 'UK National Insurance number']
+];
+
+/**
+ * ADO.NET and OLE DB connection string keys
+ */
+ViewStateScanner.CONNECTION_KEYS = /(?:^|;)\s*(data source|server|address|network address|initial catalog|database|user id|uid|password|pwd|integrated security|trusted_connection|provider|dsn)\s*=/gi;
+
+/**
+ * Windows drive and UNC paths, and Unix paths under the usual server roots
+ */
+ViewStateScanner.FILE_PATH = /(?<![\w/])([A-Za-z]:\\|\\\\[\w.$-]+\\)[^\s"'<>|*?]+|(?<![\w:/~.])\/(home|var|etc|usr|opt|srv|inetpub|tmp)\/[^\s"'<>|*?]+/g;
+
+/**
+ * Private and loopback IPv4 addresses (not assembly versions), localhost and
+ * hosts under internal-only domains; lower case only, so .NET namespaces such
+ * as Foo.Internal do not match
+ */
+ViewStateScanner.INTERNAL_HOST = /(?<![\w.=])(10(\.\d{1,3}){3}|192\.168(\.\d{1,3}){2}|172\.(1[6-9]|2\d|3[01])(\.\d{1,3}){2}|127(\.\d{1,3}){3})(?![\w.])|\blocalhost\b|\b[a-z0-9-]+(\.[a-z0-9-]+)*\.(local|internal|intranet|corp|lan|localdomain|home\.arpa)\b/g;
+
+/**
+ * Luhn checksum of a digit string
+ */
+ViewStateScanner.luhn = function (digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+window.ViewStateScanner = ViewStateScanner;
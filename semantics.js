@@ -0,0 +1,297 @@
+/**
+ * Page-level ViewState Interpretation
+ * Recognises the layout ASP.NET WebForms gives page state and turns the
+ * anonymous Pairs, Triplets and ArrayLists into labelled sections:
+ * - 2.0+: Pair(ViewState, ControlState), where ViewState is
+ *   Pair(page type hash code, Page.SaveViewStateRecursive()) and ControlState is a
+ *   dictionary of control UniqueIDs plus __ControlsRequirePostBackKey__
+ * - 1.x: Triplet(page type hash code, SaveViewStateRecursive(), postback controls)
+ * Control.SaveViewStateRecursive() nests as Pair(own, children) or
+ * Triplet(own, adapter, children) with children an ArrayList of
+ * [index or ID, state, ...]; 1.x uses Triplet(own, indices, states).
+ */
+
+class ViewStateSemantics {
+    /**
+     * @param {ViewStateDecoder} [decoder] - Used for the plain projection of unrecognised nodes
+     * @param {ViewStateSizes} [sizes] - Links the labelled values to their nodes for the size breakdown
+     */
+    constructor(decoder = new ViewStateDecoder(), sizes = null) {
+        this.decoder = decoder;
+        this.sizes = sizes;
+    }
+
+    /**
+     * Interpret a decoded tree as page state
+     * With a control hierarchy, child controls are also labelled with the named
+     * control they belong to, and the mapped controls are listed in this.controls.
+     * @param {object} tree - Root node from ViewStateDecoder.decode()
+     * @param {object} [hierarchy] - Root from ControlHierarchy.parse()
+     * @returns {object|null} Labelled plain object, or null when the root is not page state
+     */
+    interpret(tree, hierarchy = null) {
+        this.hierarchy = hierarchy;
+        this.controls = [];
+        this.queues = new Map();
+        if (!tree) return null;
+        const [first, second, third] = tree.children || [];
+
+        if (tree.kind === 'Pair' && (this.isNull(first) || this.isPageViewState(first))) {
+            const view = {};
+            if (!this.isNull(first)) {
+                const viewState = {};
+                this.set(viewState, 'Page type hash code', first.children[0], this.plain(first.children[0]));
+                this.set(viewState, 'Page', first.children[1], this.control(first.children[1], hierarchy, ''));
+                this.set(view, 'ViewState', first, viewState);
+            }
+            if (!this.isNull(second)) this.set(view, 'ControlState', second, this.controlState(second));
+            return view;
+        }
+
+        if (tree.kind === 'Triplet' && this.isTypeHash(first)) {
+            const view = {};
+            this.set(view, 'Page type hash code', first, this.plain(first));
+            this.set(view, 'Page', second, this.control(second, hierarchy, ''));
+            if (!this.isNull(third)) this.set(view, 'Controls requiring postback', third, this.plain(third));
+            return view;
+        }
+
+        return null;
+    }
+
+    /**
+     * Pair(page type hash code, recursive page state)
+     */
+    isPageViewState(node) {
+        return node.kind === 'Pair' && this.isTypeHash(node.children[0]);
+    }
+
+    /**
+     * Page.GetTypeHashCode() as written by the page: an integer in a string
+     */
+    isTypeHash(node) {
+        const value = this.plain(node);
+        return typeof value === 'string' && /^-?\d+$/.test(value);
+    }
+
+    /**
+     * Label one level of Control.SaveViewStateRecursive()
+     * @param {object} node - The control's saved state
+     * @param {object|null} place - The control's node in the hierarchy, if known
+     * @param {string} path - Child indices from the page, e.g. "[1][3][0]"
+     */
+    control(node, place, path) {
+        if (this.isNull(node)) return null;
+        const [own, second, third] = node.children || [];
+        const result = {};
+
+        if (place && path) {
+            this.controls.push({
+                path,
+                uniqueId: place.uniqueId,
+                exact: place.exact,
+                size: node.end - node.start
+            });
+        }
+
+        if (node.kind === 'Pair' && this.isChildList(second)) {
+            this.addOwnState(result, own);
+            this.addChildren(result, second, place, path);
+            return result;
+        }
+
+        if (node.kind === 'Triplet' && this.isIndexList(second, third)) {
+            this.addOwnState(result, own);
+            second.children.forEach((index, i) => {
+                this.addChild(result, index, third.children[i], place, path);
+            });
+            return result;
+        }
+
+        if (node.kind === 'Triplet' && this.isChildList(third)) {
+            this.addOwnState(result, own);
+            if (!this.isNull(second)) this.set(result, 'Adapter state', second, this.plain(second));
+            this.addChildren(result, third, place, path);
+            return result;
+        }
+
+        return this.plain(node);
+    }
+
+    addOwnState(result, own) {
+        if (!this.isNull(own)) this.set(result, 'ViewState', own, this.stateBag(own));
+    }
+
+    addChildren(result, list, place, path) {
+        if (this.isNull(list)) return;
+        for (let i = 0; i + 1 < list.children.length; i += 2) {
+            this.addChild(result, list.children[i], list.children[i + 1], place, path);
+        }
+    }
+
+    /**
+     * Label a child's state and follow it into the hierarchy
+     */
+    addChild(result, indexNode, state, place, path) {
+        const index = this.plain(indexNode);
+        const child = this.childPlace(place, index);
+        const childPath = path + (typeof index === 'number' ? `[${index}]` : `["${index}"]`);
+        this.set(result, this.childLabel(index, child), state, this.control(state, child, childPath));
+    }
+
+    /**
+     * The hierarchy node of a child: found by ID when the parent saved IDs, and
+     * otherwise by Controls index in an indexed hierarchy. A list of named
+     * controls has neither literals nor the nesting of non-naming containers
+     * such as forms and panels, so there each naming container's list is
+     * consumed in document order instead, which is only a guess.
+     */
+    childPlace(place, index) {
+        if (!place) return null;
+        const certain = place.exact !== false;
+
+        if (this.hierarchy.indexed) {
+            const child = typeof index === 'string'
+                ? place.children.find(c => c.name === index)
+                : place.children[index];
+            return child ? { ...child, exact: certain } : null;
+        }
+
+        // Controls that are not naming containers keep reading their parent's list
+        const queue = place.queue || this.queueFor(place);
+        const child = typeof index === 'string'
+            ? queue.list.find(c => c.name === index)
+            : queue.list[queue.next++];
+        if (!child) return null;
+        return { ...child, exact: certain && typeof index === 'string', queue: child.children.length ? null : queue };
+    }
+
+    queueFor(place) {
+        if (!this.queues.has(place.uniqueId)) {
+            this.queues.set(place.uniqueId, { list: place.children, next: 0 });
+        }
+        return this.queues.get(place.uniqueId);
+    }
+
+    /**
+     * "Child control #3" for a Controls index, or the child's ID when the
+     * parent loads view state by ID, followed by the mapped control's ID
+     */
+    childLabel(index, place) {
+        const label = typeof index === 'number' ? `Child control #${index}` : `Child control "${index}"`;
+        if (!place || place.name === index) return label;
+        return `${label} (${place.name}${place.exact ? '' : '?'})`;
+    }
+
+    /**
+     * 2.0+ children: null, or an ArrayList of (index or ID, state) pairs
+     */
+    isChildList(node) {
+        if (this.isNull(node)) return true;
+        return node.kind === 'ArrayList' && node.children.length % 2 === 0 &&
+            node.children.every((child, i) => i % 2 === 1 || this.isChildIndex(child));
+    }
+
+    /**
+     * 1.x children: parallel ArrayLists of indices and states
+     */
+    isIndexList(indices, states) {
+        return !this.isNull(indices) && !this.isNull(states) && indices.kind === 'ArrayList' && states.kind === 'ArrayList' &&
+            indices.children.length === states.children.length && indices.children.every(child => this.isChildIndex(child));
+    }
+
+    isChildIndex(node) {
+        const value = this.plain(node);
+        return Number.isInteger(value) || (typeof value === 'string' && value !== '');
+    }
+
+    /**
+     * Label the keys of a StateBag: an ArrayList of [key, value, ...] (2.0+),
+     * Pair(keys, values) (1.x), or WebControl's Pair(state, attributes) with
+     * attributes possibly null
+     */
+    stateBag(node) {
+        const children = node.children || [];
+
+        if (node.kind === 'ArrayList' && children.length % 2 === 0 &&
+            children.every((child, i) => i % 2 === 1 || typeof this.plain(child) === 'string')) {
+            const bag = {};
+            for (let i = 0; i < children.length; i += 2) {
+                this.set(bag, this.plain(children[i]), children[i + 1], this.plain(children[i + 1]));
+            }
+            return bag;
+        }
+
+        // Only the 1.x text format splits keys and values; in 2.0+ the same shape is Pair(state, attributes)
+        const [first, second] = children;
+        if (node.kind === 'Pair' && typeof node.token === 'string' && !this.isNull(first) && !this.isNull(second) && first.kind === 'ArrayList' && second.kind === 'ArrayList' &&
+            first.children.length === second.children.length &&
+            first.children.every(child => typeof this.plain(child) === 'string')) {
+            const bag = {};
+            first.children.forEach((key, i) => {
+                this.set(bag, this.plain(key), second.children[i], this.plain(second.children[i]));
+            });
+            return bag;
+        }
+
+        if (node.kind === 'Pair' && !this.isNull(first)) {
+            const base = this.stateBag(first);
+            if (this.isNull(second) && this.isBag(base, first)) return base;
+
+            const attributes = this.isNull(second) ? null : this.stateBag(second);
+            if (this.isBag(base, first) && this.isBag(attributes, second)) {
+                this.set(base, 'Attributes', second, attributes);
+                return base;
+            }
+        }
+
+        return this.plain(node);
+    }
+
+    /**
+     * Whether stateBag() recognised the node rather than falling back to its plain projection
+     */
+    isBag(bag, node) {
+        return bag !== null && typeof bag === 'object' && !Array.isArray(bag) && bag.type !== node.kind;
+    }
+
+    /**
+     * Label the ControlState dictionary by control UniqueID
+     */
+    controlState(node) {
+        if (!['Hashtable', 'HybridDictionary'].includes(node.kind)) return this.plain(node);
+
+        const result = {};
+        for (const entry of node.entries) {
+            const key = String(this.plain(entry.key));
+            const label = key === ViewStateSemantics.POSTBACK_KEY ? 'Controls requiring postback' : key;
+            this.set(result, label, entry.value, this.plain(entry.value));
+        }
+        return result;
+    }
+
+    isNull(node) {
+        return !node || node.kind === 'Null';
+    }
+
+    /**
+     * target[key] = value, linked to the node it came from
+     */
+    set(target, key, node, value) {
+        target[key] = value;
+        if (this.sizes) this.sizes.link(target, key, node);
+    }
+
+    plain(node) {
+        const value = this.decoder.toPlain(node);
+        if (this.sizes) this.sizes.linkPlain(value, node);
+        return value;
+    }
+}
+
+/**
+ * Page.PageRegisteredControlsThatRequirePostBackKey
+ */
+ViewStateSemantics.POSTBACK_KEY = '__ControlsRequirePostBackKey__';
+
+window.ViewStateSemantics = ViewStateSemantics;
@@ -0,0 +1,198 @@
+/**
+ * ViewState Size Breakdown
+ * Links each value of a displayed JSON view (the raw projection or the
+ * labelled page structure) to the node it came from, so every subtree can be
+ * shown with its encoded size, and lays the subtrees out as a treemap.
+ */
+
+class ViewStateSizes {
+    /**
+     * @param {ViewStateDecoder} [decoder] - Used to project Hashtable keys the way toPlain() does
+     */
+    constructor(decoder = new ViewStateDecoder()) {
+        this.decoder = decoder;
+        this.links = new WeakMap();
+    }
+
+    /**
+     * Record that parent[key] was projected from node
+     */
+    link(parent, key, node) {
+        if (!node || parent === null || typeof parent !== 'object') return;
+        if (!this.links.has(parent)) this.links.set(parent, new Map());
+        this.links.get(parent).set(String(key), node);
+    }
+
+    /**
+     * Encoded size in bytes of parent[key], or null when it is not linked to a node
+     */
+    sizeOf(parent, key) {
+        const keys = this.links.get(parent);
+        const node = keys && keys.get(String(key));
+        return node ? ViewStateSizes.nodeSize(node) : null;
+    }
+
+    /**
+     * Link a toPlain() projection to its node tree, following the same layout
+     * @param {*} plain - Result of ViewStateDecoder.toPlain(node)
+     * @param {object} node - The projected node
+     */
+    linkPlain(plain, node) {
+        if (!node || plain === null || typeof plain !== 'object') return;
+
+        const follow = (key, child) => {
+            this.link(plain, key, child);
+            this.linkPlain(plain[key], child);
+        };
+
+        switch (node.kind) {
+            case 'Pair':
+            case 'Triplet':
+                ['first', 'second', 'third'].slice(0, node.children.length)
+                    .forEach((key, i) => follow(key, node.children[i]));
+                break;
+
+            case 'Array':
+            case 'StringArray':
+            case 'ArrayList':
+                node.children.forEach((child, i) => follow(i, child));
+                break;
+
+            case 'SparseArray':
+                node.entries.forEach(entry => {
+                    if (entry.index < plain.length) follow(entry.index, entry.value);
+                });
+                break;
+
+            case 'Hashtable':
+            case 'HybridDictionary':
+                node.entries.forEach(entry => follow(String(this.decoder.toPlain(entry.key)), entry.value));
+                break;
+        }
+    }
+
+    /**
+     * Build a size tree from a linked view
+     * @param {*} data - The view shown in the tree
+     * @param {string} label - Label of the root
+     * @param {number} size - Encoded size of the root
+     * @returns {object} { label, path, size, children }
+     */
+    collect(data, label, size, path = label) {
+        const item = { label, path, size, children: [] };
+        if (data === null || typeof data !== 'object') return item;
+
+        for (const key of Object.keys(data)) {
+            const childSize = this.sizeOf(data, key);
+            if (childSize === null) continue;
+            item.children.push(this.collect(data[key], key, childSize, `${path} → ${key}`));
+        }
+        return item;
+    }
+
+    /**
+     * The heaviest subtrees below the root
+     * @returns {object[]} Up to count items of collect(), largest first
+     */
+    heaviest(root, count = 20) {
+        const all = [];
+        const visit = item => item.children.forEach(child => {
+            all.push(child);
+            visit(child);
+        });
+        visit(root);
+        return all.sort((a, b) => b.size - a.size).slice(0, count);
+    }
+
+    /**
+     * Squarified treemap of a size tree
+     * Rectangles are listed parents first; children are laid out inside their
+     * parent below a label strip.
+     * @param {object} root - Result of collect()
+     * @param {number} width - Width of the layout area, in the same units as height
+     * @param {number} height - Height of the layout area
+     * @returns {object[]} [{ item, depth, x, y, width, height }]
+     */
+    treemap(root, width, height, maxDepth = 4) {
+        const rects = [];
+        const place = (item, depth, x, y, width, height) => {
+            rects.push({ item, depth, x, y, width, height });
+            if (depth >= maxDepth || width < 24 || height < 2 * ViewStateSizes.LABEL_HEIGHT) return;
+
+            const header = depth === 0 ? 0 : Math.min(ViewStateSizes.LABEL_HEIGHT, height / 4);
+            const children = item.children.filter(child => child.size > 0).sort((a, b) => b.size - a.size);
+            ViewStateSizes.squarify(children, x, y + header, width, height - header)
+                .forEach(rect => place(rect.item, depth + 1, rect.x, rect.y, rect.width, rect.height));
+        };
+        place(root, 0, 0, 0, width, height);
+        return rects;
+    }
+}
+
+/**
+ * Height of the label strip above nested treemap rectangles, in layout units
+ */
+ViewStateSizes.LABEL_HEIGHT = 14;
+
+/**
+ * Encoded byte size of a node and everything below it
+ */
+ViewStateSizes.nodeSize = function (node) {
+    return Math.max(0, node.end - node.start);
+};
+
+/**
+ * Lay out items (largest first) in a rectangle, keeping their aspect ratios
+ * close to square (Bruls, Huizing and van Wijk)
+ * @returns {object[]} [{ item, x, y, width, height }]
+ */
+ViewStateSizes.squarify = function (items, x, y, width, height) {
+    const total = items.reduce((sum, item) => sum + item.size, 0);
+    if (total === 0 || width <= 0 || height <= 0) return [];
+
+    const scale = (width * height) / total;
+    const rects = [];
+    let row = [];
+
+    const worst = (candidate, side) => {
+        const areas = candidate.map(item => item.size * scale);
+        const sum = areas.reduce((a, b) => a + b, 0);
+        return Math.max(side * side * Math.max(...areas) / (sum * sum), (sum * sum) / (side * side * Math.min(...areas)));
+    };
+
+    const layoutRow = () => {
+        const area = row.reduce((sum, item) => sum + item.size * scale, 0);
+        if (width >= height) {
+            const columnWidth = area / height;
+            let offset = y;
+            for (const item of row) {
+                const itemHeight = item.size * scale / columnWidth;
+                rects.push({ item, x, y: offset, width: columnWidth, height: itemHeight });
+                offset += itemHeight;
+            }
+            x += columnWidth;
+            width -= columnWidth;
+        } else {
+            const rowHeight = area / width;
+            let offset = x;
+            for (const item of row) {
+                const itemWidth = item.size * scale / rowHeight;
+                rects.push({ item, x: offset, y, width: itemWidth, height: rowHeight });
+                offset += itemWidth;
+            }
+            y += rowHeight;
+            height -= rowHeight;
+        }
+        row = [];
+    };
+
+    for (const item of items) {
+        const side = Math.min(width, height);
+        if (row.length > 0 && worst(row.concat(item), side) > worst(row, side)) layoutRow();
+        row.push(item);
+    }
+    if (row.length > 0) layoutRow();
+    return rects;
+};
+
+window.ViewStateSizes = ViewStateSizes;
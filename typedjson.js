@@ -0,0 +1,498 @@
+/**
+ * Typed JSON dialect for the Editor
+ * Writes every ObjectStateFormatter wire type explicitly, so that editing the
+ * JSON cannot change a type by accident:
+ *
+ *   null, true, false            Null, True, False
+ *   0, 5 / 2.5                   ZeroInt32, Int32 / Double
+ *   "" / "text"                  EmptyString / String
+ *   [ ... ]                      ArrayList
+ *   { "key": ... }               Hashtable with string keys, in order
+ *   { "$type": "Int16", "value": 5 }       Int16, Byte, Int32, Single, Double
+ *   { "$type": "Char", "value": "a" }      Char, String, IndexedString
+ *   { "$type": "Unit", "value": 10, "unit": "px" }, { "$type": "EmptyUnit" }
+ *   { "$type": "Color", "value": "#FF0000FF" } (AARRGGBB), KnownColor by name, EmptyColor
+ *   { "$type": "DateTime", "value": "2024-01-02T03:04:05.6789012", "kind": "Utc" }
+ *   { "$type": "IntEnum", "enumType": "...", "value": 1 }
+ *   { "$type": "Pair", "first": ..., "second": ... }, Triplet adds "third"
+ *   { "$type": "Array", "elementType": "System.Int32", "items": [ ... ] }
+ *   { "$type": "StringArray", "items": [ "a", "b" ] }
+ *   { "$type": "SparseArray", "elementType": "...", "length": 10, "entries": [[3, ...]] }
+ *   { "$type": "Hashtable", "entries": [[key, value], ...] }, HybridDictionary
+ *   { "$type": "Type", "name": "..." }, TypeRef for a bare type reference
+ *   { "$type": "StringFormatted", "typeName": "...", "value": "..." }
+ *   { "$type": "EventValidationStore", "version": 0, "hashes": [ "<hex>" ] }
+ *   { "$type": "BinarySerialized", "data": "<base64>" }
+ *
+ * Non-finite Double and Single values are written as strings ("NaN", "-0")
+ */
+
+class TypedJson {
+    /**
+     * @param {ViewStateEditor} editor - Editor whose node factory and decoder are used
+     */
+    constructor(editor) {
+        this.editor = editor;
+    }
+
+    /**
+     * Convert a typed node to typed JSON
+     * @param {object|null} node - Typed node
+     * @returns {*} Typed JSON value
+     */
+    toTyped(node) {
+        if (!node) return null;
+
+        switch (node.kind) {
+            case 'Null':
+                return null;
+
+            case 'True':
+            case 'False':
+                return node.kind === 'True';
+
+            case 'ZeroInt32':
+                return 0;
+
+            case 'Int32':
+                return node.value !== 0 ? node.value : { $type: 'Int32', value: 0 };
+
+            case 'Int16':
+            case 'Byte':
+                return { $type: node.kind, value: node.value };
+
+            case 'Double':
+                return Number.isInteger(node.value) || !isFinite(node.value)
+                    ? { $type: 'Double', value: this.numberValue(node.value) }
+                    : node.value;
+
+            case 'Single':
+                return { $type: 'Single', value: this.numberValue(node.value) };
+
+            case 'Char':
+                return { $type: 'Char', value: node.value };
+
+            case 'String':
+            case 'RecoveredString':
+                return node.value !== '' ? node.value : { $type: 'String', value: '' };
+
+            case 'EmptyString':
+                return '';
+
+            case 'IndexedString':
+            case 'IndexedStringAdd':
+                return { $type: 'IndexedString', value: node.value };
+
+            case 'DateTime':
+                return node.raw === undefined
+                    ? { $type: 'DateTime', value: null }
+                    : { $type: 'DateTime', ...this.formatDateTime(BigInt(node.raw)) };
+
+            case 'Color':
+                return { $type: 'Color', value: '#' + (node.value >>> 0).toString(16).toUpperCase().padStart(8, '0') };
+
+            case 'KnownColor':
+                return { $type: 'KnownColor', value: ViewStateDecoder.KNOWN_COLORS[node.value] || node.value };
+
+            case 'EmptyColor':
+            case 'EmptyUnit':
+                return { $type: node.kind };
+
+            case 'Unit':
+                return { $type: 'Unit', value: node.value, unit: ViewStateDecoder.UNIT_TYPES[node.unitType] || node.unitType };
+
+            case 'IntEnum':
+                return { $type: 'IntEnum', enumType: node.typeRef.name, value: node.value };
+
+            case 'Pair':
+                return { $type: 'Pair', first: this.toTyped(node.children[0]), second: this.toTyped(node.children[1]) };
+
+            case 'Triplet':
+                return {
+                    $type: 'Triplet',
+                    first: this.toTyped(node.children[0]),
+                    second: this.toTyped(node.children[1]),
+                    third: this.toTyped(node.children[2])
+                };
+
+            case 'Array': {
+                const typed = { $type: 'Array' };
+                if (node.typeRef) typed.elementType = node.typeRef.name;
+                typed.items = node.children.map(child => this.toTyped(child));
+                return typed;
+            }
+
+            case 'StringArray':
+                return { $type: 'StringArray', items: node.children.map(child => child.value) };
+
+            case 'ArrayList':
+                return node.children.map(child => this.toTyped(child));
+
+            case 'SparseArray':
+                return {
+                    $type: 'SparseArray',
+                    elementType: node.typeRef.name,
+                    length: node.length,
+                    entries: node.entries.map(entry => [entry.index, this.toTyped(entry.value)])
+                };
+
+            case 'Hashtable':
+            case 'HybridDictionary':
+                return this.typedHashtable(node);
+
+            case 'Type':
+            case 'TypeRefAdd':
+            case 'TypeRefAddLocal':
+            case 'TypeRef':
+                return { $type: node.kind === 'Type' ? 'Type' : 'TypeRef', name: node.typeRef.name };
+
+            case 'StringFormatted':
+                return { $type: 'StringFormatted', typeName: node.typeRef.name, value: node.value };
+
+            case 'EventValidationStore':
+                return { $type: 'EventValidationStore', version: node.version, hashes: node.hashes };
+
+            case 'BinarySerialized': {
+                const typed = { $type: 'BinarySerialized' };
+                if (node.className) typed.className = node.className;
+                typed.data = node.raw === undefined ? null : node.raw;
+                return typed;
+            }
+
+            default:
+                return { $type: 'Unknown', marker: node.marker, offset: node.start };
+        }
+    }
+
+    /**
+     * Hashtable as a plain object when its keys are distinct strings that keep
+     * their order as object keys, otherwise as ordered [key, value] entries
+     */
+    typedHashtable(node) {
+        const keys = node.entries.map(entry => this.toTyped(entry.key));
+        const object = {};
+        for (let i = 0; i < keys.length; i++) {
+            if (typeof keys[i] === 'string' && keys[i] !== '$type') {
+                object[keys[i]] = this.toTyped(node.entries[i].value);
+            }
+        }
+
+        const ordered = Object.keys(object);
+        if (node.kind === 'Hashtable' && ordered.length === keys.length && ordered.every((key, i) => key === keys[i])) {
+            return object;
+        }
+        return {
+            $type: node.kind,
+            entries: node.entries.map((entry, i) => [keys[i], this.toTyped(entry.value)])
+        };
+    }
+
+    /**
+     * Convert typed JSON to a typed node
+     * @param {*} value - Typed JSON value
+     * @param {string} [path] - Path used in error messages
+     * @returns {object} Typed node
+     */
+    fromTyped(value, path = '$') {
+        const create = (kind, fields) => this.editor.createNode(kind, fields);
+
+        if (value === null) return create('Null', { value: null });
+
+        switch (typeof value) {
+            case 'boolean':
+                return create(value ? 'True' : 'False', { value });
+            case 'number':
+                if (Number.isInteger(value) && value >= -0x80000000 && value <= 0x7FFFFFFF) {
+                    return create(value === 0 ? 'ZeroInt32' : 'Int32', { value });
+                }
+                return create('Double', { value });
+            case 'string':
+                return create(value === '' ? 'EmptyString' : 'String', { value });
+        }
+
+        if (Array.isArray(value)) {
+            return create('ArrayList', { children: value.map((item, i) => this.fromTyped(item, `${path}[${i}]`)) });
+        }
+
+        if (!('$type' in value)) {
+            return create('Hashtable', {
+                entries: Object.keys(value).map(key => ({
+                    key: this.fromTyped(key, path),
+                    value: this.fromTyped(value[key], `${path}.${key}`)
+                }))
+            });
+        }
+
+        const type = value.$type;
+        switch (type) {
+            case 'Int16':
+                return create(type, { value: this.integer(value.value, -0x8000, 0x7FFF, path) });
+
+            case 'Byte':
+                return create(type, { value: this.integer(value.value, 0, 0xFF, path) });
+
+            case 'Int32':
+                return create(type, { value: this.integer(value.value, -0x80000000, 0x7FFFFFFF, path) });
+
+            case 'Double':
+            case 'Single':
+                return create(type, { value: this.number(value.value, path) });
+
+            case 'Char':
+                if (typeof value.value !== 'string' || Array.from(value.value).length !== 1) {
+                    throw new Error(`Char at ${path} must be a single character`);
+                }
+                return create(type, { value: value.value });
+
+            case 'String':
+            case 'IndexedString':
+                return create(type, { value: this.string(value.value, path) });
+
+            case 'DateTime':
+                return create(type, this.parseDateTime(value, path));
+
+            case 'Color': {
+                const match = /^#?([0-9a-f]{6}|[0-9a-f]{8})$/i.exec(this.string(value.value, path));
+                if (!match) throw new Error(`Color at ${path} must be #AARRGGBB`);
+                const hex = match[1].length === 6 ? 'FF' + match[1] : match[1];
+                return create(type, { value: parseInt(hex, 16) | 0 });
+            }
+
+            case 'KnownColor': {
+                const index = typeof value.value === 'number'
+                    ? value.value
+                    : ViewStateDecoder.KNOWN_COLORS.indexOf(value.value);
+                if (!Number.isInteger(index) || index < 1) {
+                    throw new Error(`Unknown color ${JSON.stringify(value.value)} at ${path}`);
+                }
+                return create(type, { value: index, name: ViewStateDecoder.KNOWN_COLORS[index] || `KnownColor(${index})` });
+            }
+
+            case 'EmptyColor':
+            case 'EmptyUnit':
+                return create(type);
+
+            case 'Unit': {
+                const unitType = typeof value.unit === 'number'
+                    ? value.unit
+                    : ViewStateDecoder.UNIT_TYPES.indexOf(value.unit === undefined ? 'px' : value.unit);
+                if (!Number.isInteger(unitType) || unitType < 1) {
+                    throw new Error(`Unknown unit ${JSON.stringify(value.unit)} at ${path}`);
+                }
+                return create(type, { value: this.number(value.value, path), unitType });
+            }
+
+            case 'IntEnum': {
+                const name = this.string(value.enumType, `${path}.enumType`);
+                return create(type, {
+                    typeRef: { token: null, name },
+                    type: name,
+                    value: this.integer(value.value, -0x80000000, 0x7FFFFFFF, path)
+                });
+            }
+
+            case 'Pair':
+                return create(type, {
+                    children: [this.fromTyped(value.first, `${path}.first`), this.fromTyped(value.second, `${path}.second`)]
+                });
+
+            case 'Triplet':
+                return create(type, {
+                    children: [
+                        this.fromTyped(value.first, `${path}.first`),
+                        this.fromTyped(value.second, `${path}.second`),
+                        this.fromTyped(value.third, `${path}.third`)
+                    ]
+                });
+
+            case 'Array': {
+                const name = value.elementType === undefined ? 'System.Object' : this.string(value.elementType, `${path}.elementType`);
+                return create(type, {
+                    typeRef: { token: null, name },
+                    type: `${ViewStateDecoder.shortTypeName(name)}[]`,
+                    children: this.array(value.items, `${path}.items`).map((item, i) => this.fromTyped(item, `${path}.items[${i}]`))
+                });
+            }
+
+            case 'StringArray':
+                return create(type, {
+                    children: this.array(value.items, `${path}.items`).map((item, i) => ({
+                        token: null,
+                        kind: 'String',
+                        type: 'System.String',
+                        value: this.string(item, `${path}.items[${i}]`)
+                    }))
+                });
+
+            case 'SparseArray': {
+                const name = this.string(value.elementType, `${path}.elementType`);
+                const length = this.integer(value.length, 0, ViewStateDecoder.MAX_COUNT, `${path}.length`);
+                return create(type, {
+                    typeRef: { token: null, name },
+                    type: `${ViewStateDecoder.shortTypeName(name)}[]`,
+                    length,
+                    entries: this.entries(value.entries, path).map(([index, item], i) => ({
+                        index: this.integer(index, 0, length - 1, `${path}.entries[${i}]`),
+                        value: this.fromTyped(item, `${path}.entries[${i}]`)
+                    }))
+                });
+            }
+
+            case 'Hashtable':
+            case 'HybridDictionary':
+                return create(type, {
+                    entries: this.entries(value.entries, path).map(([key, item], i) => ({
+                        key: this.fromTyped(key, `${path}.entries[${i}][0]`),
+                        value: this.fromTyped(item, `${path}.entries[${i}][1]`)
+                    }))
+                });
+
+            case 'Type':
+            case 'TypeRef': {
+                const name = this.string(value.name, `${path}.name`);
+                return create(type, { typeRef: { token: null, name }, value: name });
+            }
+
+            case 'StringFormatted': {
+                const name = this.string(value.typeName, `${path}.typeName`);
+                return create(type, { typeRef: { token: null, name }, type: name, value: this.string(value.value, path) });
+            }
+
+            case 'EventValidationStore': {
+                const hashes = this.array(value.hashes, `${path}.hashes`);
+                hashes.forEach((hash, i) => {
+                    if (typeof hash !== 'string' || !/^[0-9a-f]{32}$/i.test(hash)) {
+                        throw new Error(`Hash at ${path}.hashes[${i}] must be 32 hex digits`);
+                    }
+                });
+                return create(type, { version: this.integer(value.version || 0, 0, 0xFF, path), hashes });
+            }
+
+            case 'BinarySerialized': {
+                let bytes;
+                try {
+                    bytes = ViewStateDecoder.base64ToBytes(this.string(value.data, `${path}.data`));
+                } catch (error) {
+                    throw new Error(`BinarySerialized data at ${path} must be Base64`);
+                }
+                const node = create(type, { size: bytes.length });
+                this.editor.decoder.describeBinaryObject(node, bytes);
+                return node;
+            }
+
+            default:
+                throw new Error(`Unknown $type ${JSON.stringify(type)} at ${path}`);
+        }
+    }
+
+    /**
+     * DateTime.ToBinary value as an ISO date with 100ns ticks and a DateTimeKind
+     */
+    formatDateTime(binary) {
+        const kind = Number(BigInt.asUintN(64, binary) >> 62n);
+        const ticks = (BigInt.asUintN(64, binary) & 0x3FFFFFFFFFFFFFFFn) - TypedJson.EPOCH_TICKS;
+        let seconds = ticks / 10000000n;
+        if (seconds * 10000000n > ticks) seconds--;
+
+        const fraction = (ticks - seconds * 10000000n).toString().padStart(7, '0');
+        const date = new Date(Number(seconds) * 1000).toISOString().substring(0, 19);
+        return { value: `${date}.${fraction}`, kind: TypedJson.DATE_KINDS[kind] };
+    }
+
+    /**
+     * Parse a typed DateTime back to DateTime.ToBinary fields
+     */
+    parseDateTime(value, path) {
+        const match = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.(\d{1,7}))?Z?$/.exec(this.string(value.value, path));
+        const time = match ? Date.parse(match[1] + 'Z') : NaN;
+        if (isNaN(time)) {
+            throw new Error(`DateTime at ${path} must look like 2024-01-02T03:04:05.6789012`);
+        }
+
+        const kind = TypedJson.DATE_KINDS.indexOf(value.kind === undefined ? 'Unspecified' : value.kind);
+        if (kind === -1) {
+            throw new Error(`DateTime kind at ${path} must be one of ${TypedJson.DATE_KINDS.join(', ')}`);
+        }
+
+        const ticks = BigInt(time / 1000) * 10000000n + BigInt((match[2] || '').padEnd(7, '0'));
+        return {
+            raw: BigInt.asIntN(64, (BigInt(kind) << 62n) | (ticks + TypedJson.EPOCH_TICKS)).toString(),
+            dateKind: ['Unspecified', 'Utc', 'Local', 'Local'][kind],
+            value: new Date(Number(ticks / 10000n)).toISOString()
+        };
+    }
+
+    /**
+     * Number for JSON; non-finite values and -0 become strings
+     */
+    numberValue(value) {
+        if (Object.is(value, -0)) return '-0';
+        return isFinite(value) ? value : String(value);
+    }
+
+    /**
+     * Number, also accepting the string forms written by numberValue
+     */
+    number(value, path) {
+        const number = typeof value === 'string' ? Number(value) : value;
+        if (typeof number !== 'number' || (isNaN(number) && value !== 'NaN')) {
+            throw new Error(`Expected a number at ${path}`);
+        }
+        return number;
+    }
+
+    /**
+     * Integer within [min, max]
+     */
+    integer(value, min, max, path) {
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`Expected an integer from ${min} to ${max} at ${path}`);
+        }
+        return value;
+    }
+
+    /**
+     * String value
+     */
+    string(value, path) {
+        if (typeof value !== 'string') {
+            throw new Error(`Expected a string at ${path}`);
+        }
+        return value;
+    }
+
+    /**
+     * Array value
+     */
+    array(value, path) {
+        if (!Array.isArray(value)) {
+            throw new Error(`Expected an array at ${path}`);
+        }
+        return value;
+    }
+
+    /**
+     * Ordered [key, value] entries
+     */
+    entries(value, path) {
+        return this.array(value, `${path}.entries`).map((entry, i) => {
+            if (!Array.isArray(entry) || entry.length !== 2) {
+                throw new Error(`Expected a [key, value] pair at ${path}.entries[${i}]`);
+            }
+            return entry;
+        });
+    }
+}
+
+/**
+ * DateTimeKind names by the top two bits of DateTime.ToBinary
+ */
+TypedJson.DATE_KINDS = ['Unspecified', 'Utc', 'Local', 'LocalAmbiguousDst'];
+
+/**
+ * Ticks from 0001-01-01 to the Unix epoch
+ */
+TypedJson.EPOCH_TICKS = 621355968000000000n;
+
+// Export for use in other modules
+window.TypedJson = TypedJson;